@@ -0,0 +1,218 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+const q = require('q');
+const cloudUtil = require('@f5devcentral/f5-cloud-libs').util;
+
+const DEFAULT_PRIORITY_LABEL = 'primary-priority';
+
+/**
+ * Built in primary election strategies.
+ *
+ * A strategy compares two candidates and returns a negative number if the
+ * first should be preferred, positive if the second should be, and 0 if they
+ * are equivalent. Ties are broken by lowest private IP and then by instance ID,
+ * so every strategy is deterministic.
+ *
+ * Each candidate is of the form
+ *
+ *     {
+ *         id: instance ID,
+ *         privateIp: private IP,
+ *         external: true if external to the autoscale group,
+ *         creationTimestamp: VM creation time (if VM details were fetched),
+ *         labels: VM labels (if VM details were fetched),
+ *         zone: zone name
+ *     }
+ *
+ * VM details are not fetched for external candidates, since they are not in the
+ * instance group. The oldest, labelPriority and preferredZone strategies therefore
+ * rank external candidates after those in the group, ordered among themselves by
+ * the tie break.
+ */
+const STRATEGIES = {
+    // Lowest private IP, preferring external instances (for example, BYOL instances)
+    lowestIp: {
+        needsVmDetails: false,
+        compare(a, b) {
+            if (a.external !== b.external) {
+                return a.external ? -1 : 1;
+            }
+            return 0;
+        }
+    },
+
+    // Oldest VM by creation time
+    oldest: {
+        needsVmDetails: true,
+        compare(a, b) {
+            return compareUndefinedLast(
+                a.creationTimestamp ? new Date(a.creationTimestamp).getTime() : undefined,
+                b.creationTimestamp ? new Date(b.creationTimestamp).getTime() : undefined
+            );
+        }
+    },
+
+    // Highest numeric priority in a VM label
+    labelPriority: {
+        needsVmDetails: true,
+        compare(a, b, options) {
+            const label = options.priorityLabel || DEFAULT_PRIORITY_LABEL;
+            const aPriority = getLabelPriority(a, label);
+            const bPriority = getLabelPriority(b, label);
+
+            // negate so that higher priorities sort first
+            return compareUndefinedLast(
+                typeof aPriority === 'number' ? -aPriority : undefined,
+                typeof bPriority === 'number' ? -bPriority : undefined
+            );
+        }
+    },
+
+    // First zone in a list of preferred zones
+    preferredZone: {
+        needsVmDetails: true,
+        compare(a, b, options) {
+            const zones = options.preferredZones || [];
+            const aIndex = zones.indexOf(a.zone);
+            const bIndex = zones.indexOf(b.zone);
+            return compareUndefinedLast(
+                aIndex !== -1 ? aIndex : undefined,
+                bIndex !== -1 ? bIndex : undefined
+            );
+        }
+    }
+};
+
+/**
+ * @module
+ */
+module.exports = {
+    DEFAULT_STRATEGY: 'lowestIp',
+
+    /**
+     * Whether a strategy needs VM details (creation time, labels, zone) for each candidate
+     *
+     * @param {String | Function} strategy - Name of a built in strategy or a custom strategy.
+     *
+     * @returns {Boolean} Whether or not VM details are needed.
+     */
+    needsVmDetails(strategy) {
+        if (typeof strategy === 'function') {
+            return true;
+        }
+        const strategyName = strategy || module.exports.DEFAULT_STRATEGY;
+        return !!STRATEGIES[strategyName] && STRATEGIES[strategyName].needsVmDetails;
+    },
+
+    /**
+     * Picks a primary from a list of eligible candidates
+     *
+     * @param {Object[]}          candidates                - Candidates. See STRATEGIES for format.
+     * @param {String | Function} [strategy]                - Name of a built in strategy or a function
+     *                                                        which is called with the candidates and
+     *                                                        returns (or resolves with) the ID of the
+     *                                                        candidate to elect. Default lowestIp.
+     * @param {Object}            [options]                 - Optional parameters.
+     * @param {String}            [options.priorityLabel]   - Label to use for labelPriority.
+     * @param {String[]}          [options.preferredZones]  - Zones, most preferred first, for preferredZone.
+     *
+     * @returns {Promise} A promise which is resolved with the ID of the elected
+     *                    candidate, or undefined if there are no candidates.
+     */
+    elect(candidates, strategy, options) {
+        const opts = options || {};
+
+        if (candidates.length === 0) {
+            return q();
+        }
+
+        if (typeof strategy === 'function') {
+            const sorted = candidates.slice().sort(tieBreak);
+            return q(strategy(sorted, opts))
+                .then((instanceId) => {
+                    const elected = sorted.find((candidate) => {
+                        return candidate.id === instanceId;
+                    });
+                    if (!elected) {
+                        const message = `election strategy chose ineligible instance ${instanceId}`;
+                        return q.reject(new Error(message));
+                    }
+                    return instanceId;
+                });
+        }
+
+        let impl;
+        try {
+            impl = getStrategy(strategy);
+        } catch (err) {
+            return q.reject(err);
+        }
+
+        const sorted = candidates.slice().sort((a, b) => {
+            return impl.compare(a, b, opts) || tieBreak(a, b);
+        });
+
+        return q(sorted[0].id);
+    }
+};
+
+function getStrategy(name) {
+    const strategyName = name || module.exports.DEFAULT_STRATEGY;
+    if (!Object.prototype.hasOwnProperty.call(STRATEGIES, strategyName)) {
+        throw new Error(`Unknown election strategy ${strategyName}`);
+    }
+    return STRATEGIES[strategyName];
+}
+
+function tieBreak(a, b) {
+    const aIp = a.privateIp ? cloudUtil.ipToNumber(a.privateIp) : undefined;
+    const bIp = b.privateIp ? cloudUtil.ipToNumber(b.privateIp) : undefined;
+    const ipComparison = compareUndefinedLast(aIp, bIp);
+    if (ipComparison !== 0) {
+        return ipComparison;
+    }
+
+    if (a.id < b.id) {
+        return -1;
+    } else if (a.id > b.id) {
+        return 1;
+    }
+    return 0;
+}
+
+function compareUndefinedLast(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    if (typeof a === 'undefined') {
+        return 1;
+    }
+    if (typeof b === 'undefined') {
+        return -1;
+    }
+    return a < b ? -1 : 1;
+}
+
+function getLabelPriority(candidate, label) {
+    if (!candidate.labels || typeof candidate.labels[label] === 'undefined') {
+        return undefined;
+    }
+    const priority = parseInt(candidate.labels[label], 10);
+    return Number.isNaN(priority) ? undefined : priority;
+}
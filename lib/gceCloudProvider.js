@@ -16,10 +16,11 @@
 
 'use strict';
 
-const fs = require('fs');
 const util = require('util');
+const fs = require('fs');
 const path = require('path');
 const stream = require('stream');
+const parseUrl = require('url').parse;
 
 const q = require('q');
 
@@ -33,12 +34,51 @@ const Logger = require('@f5devcentral/f5-cloud-libs').logger;
 const cloudUtil = require('@f5devcentral/f5-cloud-libs').util;
 const cryptoUtil = require('@f5devcentral/f5-cloud-libs').cryptoUtil;
 const PubSub = require('../src/gcClients/pubSub');
+const Kms = require('../src/gcClients/kms');
+const SecretManager = require('../src/gcClients/secretManager');
+const Firestore = require('../src/gcClients/firestore');
+const storageBackends = require('./storageBackends');
+const TokenManager = require('../src/gcClients/tokenManager');
+const electionStrategies = require('./electionStrategies');
+const ucsRetention = require('./ucsRetention');
+const instanceSchema = require('./instanceSchema');
+const metadataService = require('../src/gcClients/metadata');
+const pagination = require('../src/gcClients/pagination');
 const KEYS = require('@f5devcentral/f5-cloud-libs').sharedConstants.KEYS;
 
 const CREDENTIALS_FILE = 'credentials/primary';
 const INSTANCES_FOLDER = 'instances/';
 const PUBLIC_KEYS_FOLDER = 'public_keys/';
 const BACKUP_FOLDER = 'backup/';
+const PRIMARY_LEASE_FILE = 'primary/lease';
+const INSTANCE_MANIFEST_FILE = 'manifest/instances';
+const PINNED_UCS_FILE = 'pins/backup';
+
+// Top level folders of the cluster database, for moving it under a storage prefix
+const STORAGE_LAYOUT_FOLDERS = [
+    'credentials/',
+    INSTANCES_FOLDER,
+    PUBLIC_KEYS_FOLDER,
+    BACKUP_FOLDER,
+    'primary/',
+    'manifest/',
+    'pins/'
+];
+
+const DEFAULT_PRIMARY_LEASE_SECONDS = 300;
+
+// How many times to try a conditional write that keeps losing to other writers
+const MAX_UPDATE_ATTEMPTS = 5;
+
+// Version of the envelope that encrypted primary credentials are stored in
+const CREDENTIALS_FORMAT_VERSION = 1;
+
+const CREDENTIALS_STORE_STORAGE = 'storage';
+const CREDENTIALS_STORE_SECRET_MANAGER = 'secretManager';
+const DEFAULT_CREDENTIALS_RETENTION_COUNT = 2;
+
+// VMs in these states are members of the instance group
+const VALID_VM_STATUSES = ['PROVISIONING', 'STAGING', 'RUNNING'];
 
 const JOIN_PREFIX = 'JOIN_';
 const SYNC_COMPLETE_PREFIX = 'SYNC_COMPLETE_';
@@ -68,23 +108,33 @@ function GceCloudProvider(options) {
 
     this.loggerOptions = options ? options.loggerOptions : undefined;
 
+    // Zone of each instance group VM, keyed by VM name. Filled in by getInstances.
+    this.vmZones = {};
+
+    // Instance records as last read from the db, keyed by instance ID. Filled in by getInstances
+    // so that putInstance can tell which fields a caller changed.
+    this.instancesRead = {};
+
     logger = options ? options.logger : undefined;
 
     if (logger) {
         this.logger = logger;
         cloudUtil.setLogger(logger);
         cryptoUtil.setLogger(logger);
+        metadataService.setLogger(logger);
     } else if (this.loggerOptions) {
         this.loggerOptions.module = module;
         logger = Logger.getLogger(this.loggerOptions);
         cloudUtil.setLoggerOptions(this.loggerOptions);
         cryptoUtil.setLoggerOptions(this.loggerOptions);
+        metadataService.setLoggerOptions(this.loggerOptions);
         this.logger = logger;
     } else {
         // use super's logger
         logger = this.logger;
         cloudUtil.setLogger(logger);
         cryptoUtil.setLogger(logger);
+        metadataService.setLogger(logger);
     }
 }
 
@@ -109,6 +159,80 @@ function GceCloudProvider(options) {
  *                                                      Required if BIG-IP is not running in Google Cloud.
  * @param {String}  [providerOptions.instanceGroup]   - Unique name in project for this instance group.
  *                                                      Required for autoscale.
+ * @param {Boolean} [providerOptions.regionalInstanceGroup] - Whether instanceGroup is a regional (multi-zone)
+ *                                                      instance group rather than one in the zone this
+ *                                                      BIG-IP is in. Default false.
+ * @param {String}  [providerOptions.projectId]       - Project to use for all resources. Default is the
+ *                                                      project from the credentials or metadata service.
+ * @param {String}  [providerOptions.computeProjectId] - Project for compute instances and instance groups,
+ *                                                      for example the service project in a Shared VPC.
+ *                                                      Default projectId.
+ * @param {String}  [providerOptions.storageProjectId] - Project for Cloud Storage. Default projectId.
+ * @param {String}  [providerOptions.pubSubProjectId] - Project for Pub/Sub topics and subscriptions.
+ *                                                      Default projectId.
+ * @param {String | Function} [providerOptions.electionStrategy] - How to elect a primary: 'lowestIp', 'oldest',
+ *                                                      'labelPriority', 'preferredZone' or a function.
+ *                                                      Default 'lowestIp'. See {@link module:electionStrategies}.
+ * @param {String}  [providerOptions.electionPriorityLabel] - VM label holding the numeric priority for the
+ *                                                      'labelPriority' strategy. Highest wins.
+ *                                                      Default 'primary-priority'.
+ * @param {String[]} [providerOptions.electionPreferredZones] - Zones, most preferred first, for the
+ *                                                      'preferredZone' strategy.
+ * @param {Number}  [providerOptions.pageSize]        - Maximum results per page for list requests that we
+ *                                                      page through ourselves. Default is the API default.
+ * @param {String | String[]} [providerOptions.impersonateServiceAccount] - Email of a service account to
+ *                                                      impersonate for all Google API calls. If an array, the
+ *                                                      last entry is the account to impersonate and the
+ *                                                      earlier entries are the delegation chain.
+ * @param {Number}  [providerOptions.primaryLeaseSeconds] - How long the primary lease in the cluster database
+ *                                                      is good for without being renewed. Default 300.
+ * @param {String}  [providerOptions.kmsKeyName]      - Cloud KMS crypto key (CMEK) with which to encrypt every
+ *                                                      object we write to Cloud Storage.
+ * @param {String}  [providerOptions.encryptionKey]   - Base64 encoded AES-256 customer-supplied encryption key
+ *                                                      (CSEK) with which to encrypt and decrypt every object we
+ *                                                      read or write in Cloud Storage. Cannot be used with
+ *                                                      kmsKeyName.
+ * @param {String}  [providerOptions.credentialsKmsKeyName] - Cloud KMS crypto key with which to encrypt the
+ *                                                      stored primary credentials. For example
+ *                                                      'projects/p/locations/global/keyRings/r/cryptoKeys/k'.
+ * @param {String}  [providerOptions.credentialsPublicKey] - Public key (or path to it) with which to encrypt
+ *                                                      the stored primary credentials if not using Cloud KMS.
+ * @param {String}  [providerOptions.credentialsPrivateKeyFile] - Path to the private key matching
+ *                                                      credentialsPublicKey. Required to read credentials
+ *                                                      encrypted with it.
+ * @param {String | Object} [providerOptions.storageBackend] - Where to keep the cluster database: 'gcs' (the
+ *                                                      storage bucket), 'local', 'firestore' or an object
+ *                                                      implementing the backend interface. Default 'gcs'.
+ *                                                      See {@link module:storageBackends}.
+ * @param {String}  [providerOptions.localStorageDir] - Directory for the 'local' storage backend.
+ * @param {String}  [providerOptions.firestoreCollection] - Collection for the 'firestore' storage backend.
+ *                                                      Default instanceGroup.
+ * @param {String}  [providerOptions.firestoreDatabase] - Database for the 'firestore' storage backend.
+ *                                                      Default '(default)'.
+ * @param {String}  [providerOptions.storagePrefix]   - Prefix for every object in the cluster database, so
+ *                                                      that clusters can share a bucket. Set to '' for no
+ *                                                      prefix. Default '<instanceGroup>/', or no prefix
+ *                                                      without an instanceGroup. See migrateStorageLayout.
+ * @param {Number}  [providerOptions.storageConcurrency] - Maximum objects read at once from the cluster
+ *                                                      database. Default 10.
+ * @param {Boolean} [providerOptions.instanceManifest] - Also keep every instance record in one manifest
+ *                                                      object and read the cluster from that, so reads
+ *                                                      cost the same however many instances there are.
+ *                                                      Every instance in the cluster must set this.
+ *                                                      Default false.
+ * @param {Object}  [providerOptions.ucsRetention]    - Which autosaved UCS backups to keep, instead of the
+ *                                                      newest maxCopies passed to storeUcs. Any of keepLast,
+ *                                                      hourly, daily, weekly and maxAgeSeconds.
+ *                                                      See {@link module:ucsRetention}.
+ * @param {String}  [providerOptions.userProject]     - Project to bill for reads by getDataFromUri from
+ *                                                      requester pays buckets.
+ * @param {String}  [providerOptions.credentialsStore] - Where to store primary credentials: 'storage' (the
+ *                                                      storage bucket) or 'secretManager'. Default 'storage'.
+ * @param {String}  [providerOptions.credentialsSecretId] - Secret Manager secret for primary credentials.
+ *                                                      Default '<instanceGroup>-primary-credentials'.
+ * @param {Number}  [providerOptions.credentialsRetentionCount] - Number of Secret Manager versions of the
+ *                                                      primary credentials to keep. Older versions are
+ *                                                      destroyed. Default 2.
  * @param {Object}  [options]                         - Options for this instance.
  * @param {Boolean} [options.autoscale]               - Whether or not this instance will
  *                                                      be used for autoscaling.
@@ -136,6 +260,23 @@ GceCloudProvider.prototype.init = function init(providerOptions, options) {
     }
 
     const projectId = providerOptions ? providerOptions.projectId : undefined;
+    const computeProjectId = this.providerOptions.computeProjectId || projectId;
+    const storageProjectId = this.providerOptions.storageProjectId || projectId;
+    const pubSubProjectId = this.providerOptions.pubSubProjectId || projectId;
+    const impersonateServiceAccount = this.providerOptions.impersonateServiceAccount;
+    let credentials;
+
+    if (this.providerOptions.encryptionKey) {
+        if (this.providerOptions.kmsKeyName) {
+            return q.reject(new Error('Only one of providerOptions.kmsKeyName and encryptionKey may be set'));
+        }
+
+        this.encryptionKey = cloudUtil.createBufferFrom(this.providerOptions.encryptionKey, 'base64');
+        if (this.encryptionKey.length !== 32) {
+            return q.reject(new Error('providerOptions.encryptionKey must be a base64 encoded 256 bit key'));
+        }
+    }
+
     this.region = providerOptions ? providerOptions.region : undefined;
     if (providerOptions.secret) {
         this.logger.silly('Got credentials from providerOptions');
@@ -146,7 +287,6 @@ GceCloudProvider.prototype.init = function init(providerOptions, options) {
             return q.reject(new Error(message));
         }
 
-        let credentials;
         try {
             const credentialsBuf = cloudUtil.createBufferFrom(providerOptions.secret, 'base64');
             credentials = JSON.parse(credentialsBuf.toString());
@@ -155,32 +295,123 @@ GceCloudProvider.prototype.init = function init(providerOptions, options) {
             return q.reject(err);
         }
 
-        this.compute = new Compute({ credentials, projectId });
-        this.storage = new Storage({ credentials });
+        this.compute = new Compute({ credentials, projectId: computeProjectId });
+        this.storage = new Storage({ credentials, projectId: storageProjectId });
 
-        // TODO: Add credentials handling to our pubSub client
+        if (this.initOptions.autoscale) {
+            this.pubSub = new PubSub(
+                this.providerOptions.serviceAccount,
+                {
+                    credentials,
+                    impersonateServiceAccount,
+                    projectId: pubSubProjectId,
+                    pageSize: this.providerOptions.pageSize,
+                    loggerOptions: this.loggerOptions
+                }
+            );
+        }
     } else {
         this.logger.silly('No provider credentials - assuming we are running in Google Cloud');
-        this.compute = new Compute({ projectId });
-        this.storage = new Storage();
+        this.compute = new Compute({ projectId: computeProjectId });
+        this.storage = new Storage({ projectId: storageProjectId });
 
         if (this.initOptions.autoscale) {
             // Sadly, the Google node sdk pubSub client cores node on BIG-IP
             // so we have our own
             this.pubSub = new PubSub(
                 this.providerOptions.serviceAccount,
-                { loggerOptions: this.loggerOptions }
+                {
+                    impersonateServiceAccount,
+                    projectId: pubSubProjectId,
+                    pageSize: this.providerOptions.pageSize,
+                    loggerOptions: this.loggerOptions
+                }
             );
         }
     }
 
+    if (impersonateServiceAccount) {
+        this.logger.silly('Impersonating service account', impersonateServiceAccount);
+        this.tokenManager = new TokenManager({
+            credentials,
+            impersonateServiceAccount,
+            serviceAccount: this.providerOptions.serviceAccount,
+            logger: this.logger
+        });
+        this.tokenManager.authorizeClient(this.compute);
+        this.tokenManager.authorizeClient(this.storage);
+    }
+
+    // Only used if primary credentials are encrypted with Cloud KMS
+    this.kms = new Kms({
+        credentials,
+        impersonateServiceAccount,
+        serviceAccount: this.providerOptions.serviceAccount,
+        loggerOptions: this.loggerOptions
+    });
+
+    // Used for primary credentials if they are kept in Secret Manager, and for secretmanager:// URIs
+    this.secretManager = new SecretManager({
+        credentials,
+        impersonateServiceAccount,
+        projectId,
+        serviceAccount: this.providerOptions.serviceAccount,
+        pageSize: this.providerOptions.pageSize,
+        loggerOptions: this.loggerOptions
+    });
+
+    if (this.providerOptions.credentialsStore
+        && this.providerOptions.credentialsStore !== CREDENTIALS_STORE_SECRET_MANAGER
+        && this.providerOptions.credentialsStore !== CREDENTIALS_STORE_STORAGE) {
+        const message = `Unknown credentials store ${this.providerOptions.credentialsStore}`;
+        return q.reject(new Error(message));
+    }
+
     if (providerOptions.storageBucket) {
         this.storageBucket = this.storage.bucket(providerOptions.storageBucket);
     }
 
+    if (typeof this.providerOptions.storagePrefix === 'string') {
+        this.storagePrefix = this.providerOptions.storagePrefix;
+    } else if (this.providerOptions.instanceGroup) {
+        this.storagePrefix = this.providerOptions.instanceGroup;
+    }
+    if (this.storagePrefix && !this.storagePrefix.endsWith('/')) {
+        this.storagePrefix += '/';
+    }
+
+    const storageBackend = this.providerOptions.storageBackend || storageBackends.DEFAULT_BACKEND;
+    if (typeof storageBackend === 'object') {
+        this.storageBackend = storageBackend;
+    } else if (storageBackend === 'local') {
+        try {
+            this.storageBackend = new storageBackends.LocalBackend({
+                directory: this.providerOptions.localStorageDir,
+                concurrency: this.providerOptions.storageConcurrency
+            });
+        } catch (err) {
+            return q.reject(err);
+        }
+    } else if (storageBackend === 'firestore') {
+        this.storageBackend = new storageBackends.FirestoreBackend({
+            firestore: new Firestore({
+                credentials,
+                impersonateServiceAccount,
+                projectId: storageProjectId,
+                database: this.providerOptions.firestoreDatabase,
+                serviceAccount: this.providerOptions.serviceAccount,
+                pageSize: this.providerOptions.pageSize,
+                loggerOptions: this.loggerOptions
+            }),
+            collection: this.providerOptions.firestoreCollection || this.providerOptions.instanceGroup
+        });
+    } else if (storageBackend !== storageBackends.DEFAULT_BACKEND) {
+        return q.reject(new Error(`Unknown storage backend ${storageBackend}`));
+    }
+
     if (!this.region) {
         // If we weren't given a region, get region we are in from metadata service
-        return getMetadata('instance/zone')
+        return metadataService.getMetadata('instance/zone')
             .then((data) => {
                 // zone info is in the format 'projects/734288666861/zones/us-west1-a',
                 // so grab the part after the last '/''
@@ -231,53 +462,76 @@ GceCloudProvider.prototype.bigIpReady = function bigIpReady() {
 /**
  * Elects a new primary instance from the available instances
  *
- * @abstract
+ * Only instances with an ok version that are visible to GCE can be elected. Which of those
+ * is elected is up to providerOptions.electionStrategy. See {@link module:electionStrategies}.
+ *
+ * If there is a cluster database, the primary lease is respected: an eligible instance holding
+ * an unexpired lease stays primary, and if an ineligible instance holds one, no primary is
+ * elected until it expires. If we elect ourselves, we acquire the lease here.
  *
  * @param {Object} instances - Dictionary of instances as returned by getInstances
  *
  * @returns {Promise} A promise which will be resolved with the instance ID of the
- *                    elected primary.
+ *                    elected primary, or undefined if no primary can be elected yet.
  */
 GceCloudProvider.prototype.electPrimary = function electPrimary(instances) {
-    let lowestGlobalIp = Number.MAX_SAFE_INTEGER;
-    let lowestExternalIp = Number.MAX_SAFE_INTEGER;
-
-    let currentIpToNumber;
-    let primaryId;
-    let externalPrimaryId;
-
-    const canInstanceBeElected = function (instance) {
-        if (instance.versionOk && instance.providerVisible) {
-            return true;
-        }
-        return false;
-    };
+    const providerOptions = this.providerOptions || {};
+    const strategy = providerOptions.electionStrategy;
+    const candidates = [];
 
     Object.keys(instances).forEach((instanceId) => {
         const instance = instances[instanceId];
-        if (canInstanceBeElected.call(this, instance)) {
-            currentIpToNumber = cloudUtil.ipToNumber(instance.privateIp);
-            if (currentIpToNumber < lowestGlobalIp) {
-                lowestGlobalIp = currentIpToNumber;
-                primaryId = instanceId;
-            }
-            if (instance.external) {
-                if (currentIpToNumber < lowestExternalIp) {
-                    lowestExternalIp = currentIpToNumber;
-                    externalPrimaryId = instanceId;
-                }
-            }
+        if (instance.versionOk && instance.providerVisible) {
+            candidates.push({
+                id: instanceId,
+                privateIp: instance.privateIp,
+                external: !!instance.external,
+                zone: this.vmZones[instanceId]
+            });
         }
     });
 
-    // prefer external instances (for example, BYOL instances)
-    if (externalPrimaryId) {
-        logger.silly('electPrimary: using external primary');
-        primaryId = externalPrimaryId;
+    let promise = q();
+    if (candidates.length > 0 && electionStrategies.needsVmDetails(strategy)) {
+        promise = q.all(candidates.map((candidate) => {
+            // External instances are not in our instance group, so we do not know where to look them up
+            if (candidate.external) {
+                return q({});
+            }
+            return getVmDetails.call(this, candidate.id, candidate.zone);
+        }))
+            .then((vmDetails) => {
+                vmDetails.forEach((details, i) => {
+                    Object.assign(candidates[i], details);
+                });
+            });
     }
-    logger.silly('electPrimary: electedPrimary:', instances[primaryId]);
 
-    return q(primaryId);
+    return promise
+        .then(() => {
+            return electionStrategies.elect(
+                candidates,
+                strategy,
+                {
+                    priorityLabel: providerOptions.electionPriorityLabel,
+                    preferredZones: providerOptions.electionPreferredZones
+                }
+            );
+        })
+        .then((electedId) => {
+            if (!electedId || !hasStorageBackend.call(this)) {
+                return electedId;
+            }
+
+            const candidateIds = candidates.map((candidate) => {
+                return candidate.id;
+            });
+            return applyPrimaryLease.call(this, electedId, candidateIds);
+        })
+        .then((primaryId) => {
+            logger.silly('electPrimary: electedPrimary:', instances[primaryId]);
+            return primaryId;
+        });
 };
 
 /**
@@ -290,7 +544,7 @@ GceCloudProvider.prototype.getInstanceId = function getInstanceId() {
     // Would like to use instance/id below, but VM.id and VM.name are the same in our
     // SDK version. We use name in case they ever change this. We neeed the metadata
     // field and VM field to match
-    return getMetadata('instance/name')
+    return metadataService.getMetadata('instance/name')
         .then((instanceId) => {
             this.instanceId = instanceId;
             return this.instanceId;
@@ -321,28 +575,19 @@ GceCloudProvider.prototype.getInstanceId = function getInstanceId() {
  *                   }
  */
 GceCloudProvider.prototype.getInstances = function getInstances(options) {
-    const VALID_STATUSES = ['PROVISIONING', 'STAGING', 'RUNNING'];
     const instances = {};
     const gceVms = {};
     const gceInstanceIds = [];
     const externalGceInstanceIds = [];
     const idsToDelete = [];
 
-    return getMetadata('instance/zone')
-        .then((metadataZone) => {
-            // Get the instances GCE knows about
-            const zoneId = getZoneFromMetadataZone(metadataZone);
-            const zone = this.compute.zone(zoneId);
-            const instanceGroup = zone.instanceGroup(this.providerOptions.instanceGroup);
-            return instanceGroup.getVMs();
-        })
-        .then((data) => {
-            const instanceGroupVms = data[0] || [];
-
+    // Get the instances GCE knows about
+    return getInstanceGroupVms.call(this)
+        .then((instanceGroupVms) => {
             this.logger.silly('all instances from gce:', instanceGroupVms);
 
             instanceGroupVms.forEach((vm) => {
-                if (VALID_STATUSES.indexOf(vm.metadata.status) !== -1) {
+                if (VALID_VM_STATUSES.indexOf(vm.metadata.status) !== -1) {
                     gceInstanceIds.push(vm.name);
                     gceVms[vm.name] = vm;
                 }
@@ -449,7 +694,10 @@ GceCloudProvider.prototype.getPrimaryCredentials = function getPrimaryCredential
     let credentials;
     let primaryBigIp;
 
-    return getData.call(this, CREDENTIALS_FILE)
+    return loadCredentials.call(this)
+        .then((data) => {
+            return decryptCredentials.call(this, data);
+        })
         .then((data) => {
             credentials = data;
             primaryBigIp = new BigIp({ loggerOptions: this.loggerOptions });
@@ -490,7 +738,8 @@ GceCloudProvider.prototype.getPrimaryCredentials = function getPrimaryCredential
  */
 GceCloudProvider.prototype.getPrimaryStatus = function getPrimaryStatus() {
     return getData.call(this, INSTANCES_FOLDER + this.instanceId)
-        .then((instance) => {
+        .then((record) => {
+            const instance = instanceSchema.upgrade(record);
             const primaryStatus = instance.primaryStatus || {};
 
             if (primaryStatus) {
@@ -688,46 +937,55 @@ GceCloudProvider.prototype.getPublicKey = function getPublicKey(instanceId) {
  * Provider implementations can optionally store a UCS to be
  * used to restore a primary instance to a last known good state
  *
+ * Each UCS is checked against the checksums stored with it. Unless a UCS is asked
+ * for by name, one that does not match is skipped in favor of the next newest.
+ *
+ * @param {Object}        [options]        - Optional parameters.
+ * @param {String}        [options.name]   - Get the UCS with this filename (as returned by
+ *                                           listStoredUcs).
+ * @param {Date | String} [options.before] - Get the newest UCS stored at or before this time.
+ *                                           Default is the newest UCS.
+ * @param {Boolean}       [options.stream] - Resolve with a readable stream of the UCS rather than
+ *                                           reading it all into memory. See getStoredObject.
+ * @param {String}        [options.filePath] - Write the UCS to this local file and resolve with the path.
+ * @param {Function}      [options.onProgress] - Called with { bytes, totalBytes } while streaming.
+ *
  * @returns {Promise} A promise which will be resolved with a Buffer containing
- *                    the UCS data if it is present, resolved with undefined if not
- *                    found, or rejected if an error occurs.
+ *                    the UCS data (or a stream or file path) if it is present, resolved
+ *                    with undefined if not found, or rejected if an error occurs.
  */
-GceCloudProvider.prototype.getStoredUcs = function getStoredUcs() {
-    const options = {
-        prefix: BACKUP_FOLDER
+GceCloudProvider.prototype.getStoredUcs = function getStoredUcs(options) {
+    const opts = options || {};
+    const readOptions = {
+        stream: opts.stream,
+        filePath: opts.filePath,
+        onProgress: opts.onProgress
     };
 
-    return this.storageBucket.getFiles(options)
-        .then((data) => {
-            const files = data[0] || [];
-            const metadataPromises = [];
-
-            this.logger.silly('files', files);
-
-            files.forEach((file) => {
-                metadataPromises.push(file.getMetadata());
+    if (opts.name) {
+        const fileName = `${BACKUP_FOLDER}${opts.name}`;
+        return getData.call(this, fileName, Object.assign({ verify: true }, readOptions))
+            .catch((err) => {
+                if (isNotFound(err)) {
+                    logger.debug('No UCS named', opts.name);
+                    return q();
+                }
+                return q.reject(err);
             });
+    }
 
-            return q.all(metadataPromises);
-        })
-        .then((results) => {
-            const metadataResults = results[0] || [];
-
-            if (metadataResults.length > 0) {
-                // Sort so that newest is first
-                metadataResults.sort((a, b) => {
-                    const aUpdated = new Date(a.updated);
-                    const bUpdated = new Date(b.updated);
-
-                    if (aUpdated < bUpdated) {
-                        return 1;
-                    } else if (bUpdated < aUpdated) {
-                        return -1;
-                    }
-                    return 0;
-                });
+    return getStorageBackend.call(this).list(BACKUP_FOLDER)
+        .then((objects) => {
+            this.logger.silly('files', objects);
+
+            const candidates = opts.before
+                ? objects.filter((object) => {
+                    return new Date(object.updated) <= new Date(opts.before);
+                })
+                : objects;
 
-                return getData.call(this, metadataResults[0].name);
+            if (candidates.length > 0) {
+                return getNewestIntactUcs.call(this, sortNewestFirst(candidates), 0, readOptions);
             }
 
             logger.debug('No UCS found in S3');
@@ -735,39 +993,142 @@ GceCloudProvider.prototype.getStoredUcs = function getStoredUcs() {
         });
 };
 
+/**
+ * Lists the stored UCS files
+ *
+ * @returns {Promise} A promise which will be resolved with an array, newest first, of
+ *
+ *                    {
+ *                        name: <filename, for getStoredUcs>,
+ *                        size: <size in bytes>,
+ *                        updated: <ISO date string of when the UCS was stored>,
+ *                        sourceInstance: <ID of the instance which stored the UCS, if known>,
+ *                        pinned: <whether retention will always keep the UCS>
+ *                    }
+ */
+GceCloudProvider.prototype.listStoredUcs = function listStoredUcs() {
+    let objects;
+
+    return getStorageBackend.call(this).list(BACKUP_FOLDER)
+        .then((results) => {
+            objects = sortNewestFirst(results);
+            return getDataAndGeneration.call(this, PINNED_UCS_FILE);
+        })
+        .then((result) => {
+            const pinned = (result.data && result.data.pinned) || [];
+
+            return objects.map((object) => {
+                const name = object.name.substr(BACKUP_FOLDER.length);
+                return {
+                    name,
+                    size: object.size,
+                    updated: object.updated,
+                    sourceInstance: object.metadata ? object.metadata.sourceInstance : undefined,
+                    pinned: pinned.indexOf(name) !== -1
+                };
+            });
+        })
+        .catch((err) => {
+            this.logger.error('listStoredUcs error:', err && err.message ? err.message : err);
+            return q.reject(err);
+        });
+};
+
 /**
  * Gets data from a provider specific URI
  *
- * URI must be a gsutil link to a JSON blob
+ * URI can be any of
+ *
+ *     gs://bucket/object
+ *     gs://bucket/object#generation
+ *     https://storage.googleapis.com/bucket/object[?generation=N][&userProject=P]
+ *     https://bucket.storage.googleapis.com/object[?generation=N][&userProject=P]
+ *     secretmanager://projects/project/secrets/secret[/versions/version]
  *
- * @param {String} uri - The cloud-specific URI of the resource. In this case, the URI is
- *                       expected to be a gsutil link
+ * Cloud Storage objects are decoded by content type, as for getStoredObject. Secrets are
+ * parsed as JSON if they are JSON and otherwise returned as a String. Without a version,
+ * the latest version of a secret is read.
+ *
+ * @param {String} uri                   - The cloud-specific URI of the resource.
+ * @param {Object} [options]             - Optional parameters. stream, filePath and onProgress are as
+ *                                         for getStoredObject, for Cloud Storage objects.
+ * @param {String} [options.userProject] - Project to bill for reads from a requester pays bucket.
+ *                                         Default is the userProject in the URI or
+ *                                         providerOptions.userProject.
+ * @param {String} [options.as]          - Decode the data as 'buffer', 'string', 'json' or 'yaml'
+ *                                         instead.
  *
  * @returns {Promise} A promise which will be resolved with the data from the URI
  *                    or rejected if an error occurs.
  */
-GceCloudProvider.prototype.getDataFromUri = function getDataFromUri(uri) {
-    // verify gsutil link
-    const gsutilPrefix = 'gs://';
-
-    if (!uri.startsWith(gsutilPrefix)) {
-        return q.reject(new Error('Invalid URI. URI should be a gsutil.'));
+GceCloudProvider.prototype.getDataFromUri = function getDataFromUri(uri, options) {
+    const opts = options || {};
+    let reference;
+
+    try {
+        reference = parseDataUri(uri);
+    } catch (err) {
+        return q.reject(err);
     }
 
-    // gsutil format is gs://bucket/[folder/]filename
-    let parts = uri.split('gs://');
-
-    parts = parts[1].split('/');
-    if (parts.length < 2 || parts[1] === '') {
-        const exampleURI = 'gs://bucket/filename';
-        return q.reject(new Error(`Invalid URI. Format should be ${exampleURI}`));
+    if (reference.secretName) {
+        if (opts.stream || opts.filePath) {
+            return q.reject(new Error('Streaming is not supported for secretmanager:// URIs'));
+        }
+        if (opts.as && storageBackends.storageData.FORMATS.indexOf(opts.as) === -1) {
+            return q.reject(new Error(`Unknown data format ${opts.as}`));
+        }
+        return this.secretManager.accessVersion(reference.secretName)
+            .then((data) => {
+                if (opts.as) {
+                    return storageBackends.storageData.decode(data, undefined, { as: opts.as });
+                }
+                return parseSecret(data.toString());
+            });
     }
 
-    // Support files in 'folders'
-    const bucket = parts.splice(0, 1)[0];
-    const filename = parts.join('/');
+    const userProject = opts.userProject
+        || reference.userProject
+        || (this.providerOptions ? this.providerOptions.userProject : undefined);
+
+    return getData.call(this, reference.object, Object.assign({}, opts, {
+        bucket: reference.bucket,
+        generation: reference.generation,
+        userProject
+    }));
+};
 
-    return getData.call(this, filename, { bucket });
+/**
+ * Reads an object from the cluster database
+ *
+ * Large objects can be streamed rather than read into memory.
+ *
+ * Data is decoded by its content type. Gzipped data (Content-Encoding gzip or a .gz name) is
+ * decompressed first.
+ *
+ * @param {String}   fileName             - Name of the object, for example 'backup/foo.ucs'.
+ * @param {Object}   [options]            - Optional parameters.
+ * @param {Boolean}  [options.stream]     - Resolve with a readable stream of the raw data. The stream
+ *                                          emits 'progress' events with { bytes, totalBytes }.
+ * @param {String}   [options.filePath]   - Write the raw data to this local file and resolve with
+ *                                          the path once it is written.
+ * @param {Function} [options.onProgress] - Called with { bytes, totalBytes } while streaming.
+ * @param {Boolean}  [options.verify]     - Check the data against the checksums stored with it.
+ *                                          Default false.
+ * @param {String}   [options.as]         - Decode the data as 'buffer', 'string', 'json' or 'yaml',
+ *                                          whatever its content type. Not for streams.
+ *
+ * @returns {Promise} A promise which will be resolved with the data (an Object for JSON and YAML,
+ *                    a Buffer for binary data and a String otherwise), stream or file path.
+ */
+GceCloudProvider.prototype.getStoredObject = function getStoredObject(fileName, options) {
+    return getData.call(this, fileName, {
+        stream: options && options.stream,
+        filePath: options && options.filePath,
+        onProgress: options && options.onProgress,
+        verify: options && options.verify,
+        as: options && options.as
+    });
 };
 
 /**
@@ -777,12 +1138,31 @@ GceCloudProvider.prototype.getDataFromUri = function getDataFromUri(uri) {
  * stored in persistent storage. Override this method if implementing
  * such a cloud provider.
  *
+ * If we are the primary, the primary lease is acquired or renewed first. If another
+ * instance holds an unexpired lease, we do not act as primary and the promise is rejected.
+ *
  * @param {String} instancId - Instance ID that was elected primary.
  *
  * @returns {Promise} A promise which will be resolved when processing is complete.
  */
 GceCloudProvider.prototype.primaryElected = function primaryElected(instanceId) {
-    return setupTopicsAndSubscriptions.call(this, this.instanceId === instanceId)
+    const isPrimary = this.instanceId === instanceId;
+    let promise = q();
+
+    if (isPrimary && hasStorageBackend.call(this)) {
+        promise = acquirePrimaryLease.call(this, instanceId)
+            .then((result) => {
+                if (!result.acquired) {
+                    return q.reject(new Error(`primary lease is held by ${result.lease.holder}`));
+                }
+                return q();
+            });
+    }
+
+    return promise
+        .then(() => {
+            return setupTopicsAndSubscriptions.call(this, isPrimary);
+        })
         .then(() => {
             // Find other instance in the db that are marked as primary, and mark them as non-primary
             return getInstancesFromDb.call(this);
@@ -795,13 +1175,17 @@ GceCloudProvider.prototype.primaryElected = function primaryElected(instanceId)
             instanceIdsInDb.forEach((dbInstanceId) => {
                 instance = instancesFromDb[dbInstanceId];
                 if (dbInstanceId !== instanceId && instance.isPrimary) {
-                    instance.isPrimary = false;
-                    promises.push(this.putInstance.call(this, dbInstanceId, instance));
+                    // Only change isPrimary so we do not clobber what the instance itself has written
+                    promises.push(this.putInstance.call(
+                        this,
+                        dbInstanceId,
+                        { isPrimary: false },
+                        { mustExist: true }
+                    ));
                 }
             });
 
-            // Note: we are not returning the promise here - no need to wait for this to complete
-            q.all(promises);
+            return q.all(promises);
         })
         .catch((err) => {
             this.logger.error('primaryElected error', err && err.message ? err.message : err);
@@ -823,15 +1207,14 @@ GceCloudProvider.prototype.tagPrimaryInstance = function tagPrimaryInstance(prim
     const vms = {};
     const primaryTag = `${this.providerOptions.instanceGroup}-primary`;
 
-    return getMetadata('instance/zone')
+    return metadataService.getMetadata('instance/zone')
         .then((metadataZone) => {
-            const zoneId = getZoneFromMetadataZone(metadataZone);
-            return this.compute.zone(zoneId);
-        })
-        .then((zone) => {
+            const localZoneId = getZoneFromMetadataZone(metadataZone);
             const promises = [];
             Object.keys(instances).forEach((instanceName) => {
-                promises.push(zone.vm(instanceName));
+                // VMs in a regional instance group may be in other zones
+                const zoneId = this.vmZones[instanceName] || localZoneId;
+                promises.push(this.compute.zone(zoneId).vm(instanceName));
             });
             return q.all(promises);
         })
@@ -884,7 +1267,10 @@ GceCloudProvider.prototype.tagPrimaryInstance = function tagPrimaryInstance(prim
  */
 GceCloudProvider.prototype.primaryInvalidated = function primaryInvalidated(instanceId) {
     // we don't care if deleting the instance is an error - perhaps it was already deleted
-    deleteData.call(this, INSTANCES_FOLDER + instanceId);
+    deleteData.call(this, INSTANCES_FOLDER + instanceId)
+        .catch(() => {});
+    updateInstanceManifest.call(this, instanceId)
+        .catch(() => {});
     return q();
 };
 
@@ -893,20 +1279,86 @@ GceCloudProvider.prototype.primaryInvalidated = function primaryInvalidated(inst
  *
  * Override for cloud implementations which store instance information.
  *
- * @param {String} instanceId - ID of instance
- * @param {Object} instance   - Instance information as returned by getInstances.
+ * The record is updated with a read-modify-write: the fields the caller changed are
+ * merged over the stored record and written only if the record has not changed since it
+ * was read. If another writer got there first, the record is read again and the merge
+ * retried.
+ *
+ * The fields the caller changed are those in instance that differ from the record as the
+ * caller read it (options.original, or else the record as last returned by getInstances).
+ * Other fields keep their stored values, so a stale copy from getInstances does not undo
+ * another writer's changes. If there is no read record to compare with, every field in
+ * instance is treated as changed.
+ *
+ * The record is written at the current schema version, migrating the stored record
+ * first if it is older. See {@link module:instanceSchema}.
+ *
+ * @param {String}  instanceId          - ID of instance
+ * @param {Object}  instance            - Instance information as returned by getInstances.
+ *                                        Only the fields to change need to be set.
+ * @param {Object}  [options]           - Optional parameters
+ * @param {Boolean} [options.mustExist] - Do not create the record if it does not exist.
+ *                                        Default false.
+ * @param {Object}  [options.original]  - The record as the caller read it.
  *
- * @returns {Promise} A promise which will be resolved with instance info.
+ * @returns {Promise} A promise which will be resolved with
+ *
+ *                    {
+ *                        written: <Boolean> (false if the record did not exist and mustExist was set),
+ *                        conflict: <Boolean> (whether another writer changed the record while we
+ *                                  were updating it),
+ *                        attempts: <Number> (number of writes tried),
+ *                        conflictingFields: <String[]> (fields we changed that another writer had
+ *                                           also changed since the caller read the record. Our
+ *                                           value is written.)
+ *                    }
  */
-GceCloudProvider.prototype.putInstance = function putInstance(instanceId, instance) {
-    return putData.call(
+GceCloudProvider.prototype.putInstance = function putInstance(instanceId, instance, options) {
+    const mustExist = options && options.mustExist;
+    const original = options && options.original ? options.original : this.instancesRead[instanceId];
+    const changes = getChangedFields(original, instance);
+    let conflictingFields = [];
+    let record;
+    let updateResult;
+
+    return updateData.call(
         this,
         INSTANCES_FOLDER + instanceId,
-        instance
+        (current) => {
+            if (!current && mustExist) {
+                return undefined;
+            }
+            const stored = current ? upgradeInstanceRecord.call(this, instanceId, current) : undefined;
+            conflictingFields = Object.keys(changes).filter((field) => {
+                return !!original && !!stored
+                    && !isSameValue(stored[field], original[field])
+                    && !isSameValue(stored[field], changes[field]);
+            });
+            record = instanceSchema.stamp(Object.assign({}, stored, changes));
+            return record;
+        }
     )
-        .then(() => {
+        .then((result) => {
+            updateResult = Object.assign(result, { conflictingFields });
+            if (result.conflict) {
+                this.logger.info('putInstance: merged concurrent update of instance', instanceId);
+            }
+            if (conflictingFields.length > 0) {
+                this.logger.warn(
+                    'putInstance: overwrote concurrent change to', conflictingFields.join(', '),
+                    'of instance', instanceId
+                );
+            }
+
+            if (result.written) {
+                this.instancesRead[instanceId] = copyRecord(record);
+                return updateInstanceManifest.call(this, instanceId, record);
+            }
             return q();
         })
+        .then(() => {
+            return updateResult;
+        })
         .catch((err) => {
             this.logger.error('putInstance error:', err && err.message ? err.message : err);
             return q.reject(err);
@@ -921,21 +1373,27 @@ GceCloudProvider.prototype.putInstance = function putInstance(instanceId, instan
  * the primary and we should store our credentials if we need to store
  * them for later retrieval in getPrimaryCredentials.
  *
+ * Credentials are encrypted with providerOptions.credentialsKmsKeyName or
+ * providerOptions.credentialsPublicKey, if either is set, and stored where
+ * providerOptions.credentialsStore says.
+ *
  * @returns {Promise} A promise which will be resolved when the operation
  *                    is complete
  */
 GceCloudProvider.prototype.putPrimaryCredentials = function putPrimaryCredentials() {
     return bigIp.getPassword()
         .then((password) => {
-            return putData.call(
+            return encryptCredentials.call(
                 this,
-                CREDENTIALS_FILE,
                 {
                     password,
                     username: this.clOptions.user
                 }
             );
         })
+        .then((credentials) => {
+            return storeCredentials.call(this, credentials);
+        })
         .then(() => {
             logger.silly('Wrote credentials');
             return q();
@@ -996,23 +1454,30 @@ GceCloudProvider.prototype.sendMessage = function sendMessage(action, options) {
 /**
  * Stores a UCS file in cloud storage
  *
+ * The upload is resumed if it fails part way, and checked against the checksums
+ * of the file once it is complete.
+ *
+ * Afterwards, autosaved UCS files which providerOptions.ucsRetention (or, without
+ * that, maxCopies) does not keep are deleted. Pinned files are always kept.
+ *
  * @param {String} file      - Full path to file to store.
  * @param {Number} maxCopies - Number of files to store. Oldest files over
  *                             this number should be deleted.
- * @param {String} prefix    - The common prefix for autosaved UCS files
+ * @param {String} prefix    - The common prefix for autosaved UCS files. Only these
+ *                             are deleted.
  *
  * @returns {Promise} A promise which is resolved when processing is complete.
  */
 GceCloudProvider.prototype.storeUcs = function storeUcs(file, maxCopies, prefix) {
     const filename = `${BACKUP_FOLDER}${path.basename(file)}`;
-    return putData.call(this, filename, fs.createReadStream(file))
+    const metadata = {};
+    if (this.instanceId) {
+        metadata.sourceInstance = this.instanceId;
+    }
+
+    return getStorageBackend.call(this).putFile(filename, file, { metadata })
         .then(() => {
-            return deleteOldestObjects.call(
-                this,
-                BACKUP_FOLDER,
-                maxCopies,
-                prefix
-            );
+            return deleteExpiredUcs.call(this, maxCopies, prefix);
         })
         .catch((err) => {
             return q.reject(new Error(`storeUcs: ${err}`));
@@ -1033,6 +1498,44 @@ GceCloudProvider.prototype.deleteStoredUcs = function deleteStoredUcs(fileName)
     return deleteData.call(this, `${BACKUP_FOLDER}${fileName}`);
 };
 
+/**
+ * Pins a stored UCS file so that retention never deletes it
+ *
+ * @param {String} fileName - UCS filename.
+ *
+ * @returns {Promise} A promise which is resolved when the file is pinned.
+ */
+GceCloudProvider.prototype.pinStoredUcs = function pinStoredUcs(fileName) {
+    return updateData.call(this, PINNED_UCS_FILE, (pins) => {
+        const pinned = (pins && pins.pinned) || [];
+        if (pinned.indexOf(fileName) !== -1) {
+            return undefined;
+        }
+        return { pinned: pinned.concat(fileName) };
+    });
+};
+
+/**
+ * Unpins a stored UCS file so that retention can delete it again
+ *
+ * @param {String} fileName - UCS filename.
+ *
+ * @returns {Promise} A promise which is resolved when the file is unpinned.
+ */
+GceCloudProvider.prototype.unpinStoredUcs = function unpinStoredUcs(fileName) {
+    return updateData.call(this, PINNED_UCS_FILE, (pins) => {
+        const pinned = (pins && pins.pinned) || [];
+        if (pinned.indexOf(fileName) === -1) {
+            return undefined;
+        }
+        return {
+            pinned: pinned.filter((pinnedFileName) => {
+                return pinnedFileName !== fileName;
+            })
+        };
+    });
+};
+
 /**
  * Called to delete a stored object from cloud storage
  *
@@ -1048,6 +1551,211 @@ GceCloudProvider.prototype.deleteStoredObject = function deleteStoredObject(file
 };
 
 
+/**
+ * Moves a cluster database kept without a prefix to under our storage prefix
+ *
+ * Clusters used to keep their objects at fixed names at the top of the bucket. Run this
+ * once, from one instance, after setting providerOptions.storagePrefix (or instanceGroup).
+ * Objects already at their new name are left alone. If several clusters shared the old
+ * layout, whichever migrates first takes all of the objects.
+ *
+ * @param {Object}  [options]        - Optional parameters.
+ * @param {Boolean} [options.dryRun] - Only report what would be moved. Default false.
+ *
+ * @returns {Promise} A promise which is resolved with
+ *
+ *                    {
+ *                        moved: <names of objects moved (or to move for a dry run)>,
+ *                        skipped: <names of objects which already exist under the prefix>
+ *                    }
+ */
+GceCloudProvider.prototype.migrateStorageLayout = function migrateStorageLayout(options) {
+    const dryRun = options && options.dryRun;
+    const unprefixedBackend = getUnprefixedStorageBackend.call(this);
+    const backend = getStorageBackend.call(this);
+    const moved = [];
+    const skipped = [];
+
+    if (!this.storagePrefix) {
+        return q.reject(new Error('migrateStorageLayout requires a storage prefix'));
+    }
+
+    return q.all(STORAGE_LAYOUT_FOLDERS.map((folder) => {
+        return unprefixedBackend.list(folder);
+    }))
+        .then((results) => {
+            const names = results
+                .reduce((all, result) => {
+                    return all.concat(result);
+                }, [])
+                .map((object) => {
+                    return object.name;
+                });
+
+            // One at a time, UCS backups can be large
+            return names.reduce((promise, name) => {
+                return promise.then(() => {
+                    return moveObject.call(this, unprefixedBackend, backend, name, dryRun)
+                        .then((wasMoved) => {
+                            (wasMoved ? moved : skipped).push(name);
+                        });
+                });
+            }, q());
+        })
+        .then(() => {
+            this.logger.info(
+                dryRun ? 'migrateStorageLayout would move' : 'migrateStorageLayout moved',
+                moved,
+                'skipped',
+                skipped
+            );
+            return { moved, skipped };
+        })
+        .catch((err) => {
+            this.logger.error('migrateStorageLayout error:', err && err.message ? err.message : err);
+            return q.reject(err);
+        });
+};
+
+/**
+ * Finds, and optionally deletes, what is kept for instances which have left the instance group
+ *
+ * getInstances only cleans up after the instances it happens to see. This compares the
+ * cluster database and Pub/Sub subscriptions against the live instance group, looking for
+ *
+ *     + instance records (and manifest entries) of instances not in the group. As in
+ *       getInstances, the record of a primary which has not expired is kept.
+ *     + public keys of instances not in the group
+ *     + UCS backups stored by instances not in the group, apart from pinned backups and the
+ *       newest backup, so that there is always something to restore from
+ *     + join and sync subscriptions of instances not in the group
+ *
+ * As in getInstances, instances with options.externalTag are live too, even though they are
+ * not in the group.
+ *
+ * An instance group with no instances other than this one looks the same as a wrong group
+ * name or a listing that came back empty, and would mean deleting everything, so this
+ * is rejected unless options.force is set.
+ *
+ * @param {Object}  [options]             - Optional parameters.
+ * @param {Boolean} [options.dryRun]      - Only report what would be deleted. Default false.
+ * @param {Boolean} [options.force]       - Collect even if the instance group has no other instances.
+ *                                          Default false.
+ * @param {Object}  [options.externalTag] - Also treat instances with this tag (outside of the
+ *                                          instance group) as live.
+ *
+ * @returns {Promise} A promise which is resolved with
+ *
+ *                    {
+ *                        instances: <IDs of instances whose records were deleted>,
+ *                        publicKeys: <IDs of instances whose public keys were deleted>,
+ *                        backups: <names of UCS backups deleted>,
+ *                        subscriptions: <names of subscriptions deleted>,
+ *                        failed: [
+ *                            {
+ *                                type: <instances | publicKeys | backups | subscriptions>,
+ *                                name: <ID or name of what could not be deleted>,
+ *                                error: <error message>
+ *                            }
+ *                        ]
+ *                    }
+ *
+ *                    For a dry run, these are what would be deleted.
+ */
+GceCloudProvider.prototype.collectGarbage = function collectGarbage(options) {
+    const dryRun = options && options.dryRun;
+    const force = options && options.force;
+    const backend = getStorageBackend.call(this);
+    let liveIds;
+
+    return getInstanceGroupVms.call(this)
+        .then((vms) => {
+            liveIds = vms
+                .filter((vm) => {
+                    return VALID_VM_STATUSES.indexOf(vm.metadata.status) !== -1;
+                })
+                .map((vm) => {
+                    return vm.name;
+                });
+
+            const otherIds = liveIds.filter((instanceId) => {
+                return instanceId !== this.instanceId;
+            });
+            if (otherIds.length === 0 && !force) {
+                return q.reject(new Error(
+                    `instance group ${this.providerOptions.instanceGroup} has no other instances - ` +
+                    'not collecting garbage without force'
+                ));
+            }
+
+            if (options && options.externalTag) {
+                return this.getVmsByTag(options.externalTag);
+            }
+            return [];
+        })
+        .then((externalVms) => {
+            externalVms.forEach((vm) => {
+                liveIds.push(vm.id);
+            });
+
+            if (this.instanceId) {
+                liveIds.push(this.instanceId);
+            }
+
+            return q.all([
+                getStoredInstanceRecords.call(this),
+                backend.list(PUBLIC_KEYS_FOLDER),
+                backend.list(BACKUP_FOLDER),
+                getDataAndGeneration.call(this, PINNED_UCS_FILE),
+                getSubscriptionNames.call(this)
+            ]);
+        })
+        .then((results) => {
+            const isGone = (instanceId) => {
+                return liveIds.indexOf(instanceId) === -1;
+            };
+            const pinned = (results[3].data && results[3].data.pinned) || [];
+            const newestBackup = sortNewestFirst(results[2])[0];
+
+            const orphans = {
+                instances: Object.keys(results[0]).filter((instanceId) => {
+                    return isGone(instanceId) && !isActivePrimary.call(this, results[0][instanceId]);
+                }),
+                publicKeys: results[1]
+                    .map((object) => {
+                        return object.name.substr(PUBLIC_KEYS_FOLDER.length);
+                    })
+                    .filter(isGone),
+                backups: results[2]
+                    .filter((object) => {
+                        const sourceInstance = object.metadata ? object.metadata.sourceInstance : undefined;
+                        return !!sourceInstance
+                            && isGone(sourceInstance)
+                            && object !== newestBackup
+                            && pinned.indexOf(object.name.substr(BACKUP_FOLDER.length)) === -1;
+                    })
+                    .map((object) => {
+                        return object.name;
+                    }),
+                subscriptions: results[4].filter((subscription) => {
+                    const prefix = subscription.startsWith(JOIN_PREFIX) ? JOIN_PREFIX : SYNC_COMPLETE_PREFIX;
+                    return isGone(subscription.substr(prefix.length));
+                }),
+                failed: []
+            };
+
+            this.logger.info(dryRun ? 'collectGarbage would delete' : 'collectGarbage deleting', orphans);
+            if (dryRun) {
+                return orphans;
+            }
+            return deleteOrphans.call(this, orphans);
+        })
+        .catch((err) => {
+            this.logger.error('collectGarbage error:', err && err.message ? err.message : err);
+            return q.reject(err);
+        });
+};
+
 /**
  * Informs the provider that a sync has completed in case the
  * password needs to be updated
@@ -1086,47 +1794,19 @@ function deleteInstances(idsToDelete) {
     idsToDelete.forEach((idToDelete) => {
         promises.push(deleteData.call(this, INSTANCES_FOLDER + idToDelete));
         promises.push(deleteData.call(this, PUBLIC_KEYS_FOLDER + idToDelete));
+        promises.push(updateInstanceManifest.call(this, idToDelete));
     });
     return q.all(promises);
 }
 
 /**
- * Queries local metadata service for an entry
- *
- * @param {String} entry - The name of the metadata entry. For example 'instance/zone'
+ * Gets the zone from a region.
  *
- * @returns {Promise} A promise which is resolved with the data or rejected if an
- *                    error occurs.
+ * For example, 'us-west1-a' returns 'us-west1'
  */
-function getMetadata(entry) {
-    const options = {
-        headers: {
-            'Metadata-Flavor': 'Google'
-        }
-    };
-
-    return cloudUtil.getDataFromUrl(
-        `http://metadata.google.internal/computeMetadata/v1/${entry}`,
-        options
-    )
-        .then((data) => {
-            return data;
-        })
-        .catch((err) => {
-            const message = `Error getting metadata ${err.message}`;
-            logger.error(message);
-            return q.reject(err);
-        });
-}
-
-/**
- * Gets the zone from a region.
- *
- * For example, 'us-west1-a' returns 'us-west1'
- */
-function getRegionFromZone(zone) {
-    return zone.substr(0, zone.lastIndexOf('-'));
-}
+function getRegionFromZone(zone) {
+    return zone.substr(0, zone.lastIndexOf('-'));
+}
 
 /**
  * Returns specific info about a VM
@@ -1176,40 +1856,53 @@ function getVmInfo(vm) {
         });
 }
 
+/**
+ * Gets the instance records from the cluster database
+ *
+ * With providerOptions.instanceManifest, this is a single read of the manifest. If there
+ * is no manifest yet, it is built from the instance records.
+ *
+ * @returns {Promise} A promise which is resolved with the instance records, keyed by instance ID.
+ */
 function getInstancesFromDb() {
-    const options = {
-        prefix: INSTANCES_FOLDER
-    };
-    const instances = {};
-
-    let files = [];
+    let promise;
 
-    return this.storageBucket.getFiles(options)
-        .then((data) => {
-            files = data[0] || [];
-            const downloadPromises = [];
+    if (this.providerOptions && this.providerOptions.instanceManifest) {
+        promise = getDataAndGeneration.call(this, INSTANCE_MANIFEST_FILE)
+            .then((result) => {
+                if (result.data) {
+                    return result.data.instances || {};
+                }
 
-            files.forEach((file) => {
-                downloadPromises.push(file.download());
+                return getInstanceRecords.call(this)
+                    .then((instances) => {
+                        // If someone else created the manifest first, theirs is just as good
+                        return putData.call(this, INSTANCE_MANIFEST_FILE, { instances }, { generation: 0 })
+                            .catch((err) => {
+                                return isPreconditionFailed(err) ? q() : q.reject(err);
+                            })
+                            .then(() => {
+                                return instances;
+                            });
+                    });
             });
+    } else {
+        promise = getInstanceRecords.call(this);
+    }
 
-            return q.all(downloadPromises);
-        })
-        .then((results) => {
-            const metadataPromises = [];
-            for (let i = 0; i < results.length; ++i) {
-                files[i].contents = JSON.parse(results[i][0]);
-                metadataPromises.push(files[i].getMetadata());
-            }
-            return q.all(metadataPromises);
-        })
-        .then((results) => {
-            for (let i = 0; i < results.length; ++i) {
-                const metadata = results[i][0];
-                const instanceId = metadata.name.substr(INSTANCES_FOLDER.length);
-                instances[instanceId] = files[i].contents;
-            }
-            return q(instances);
+    return promise
+        .then((records) => {
+            const instances = {};
+            Object.keys(records).forEach((instanceId) => {
+                try {
+                    instances[instanceId] = upgradeInstanceRecord.call(this, instanceId, records[instanceId]);
+                    this.instancesRead[instanceId] = copyRecord(instances[instanceId]);
+                } catch (err) {
+                    // One bad record should not stop us from seeing the rest of the cluster
+                    this.logger.warn('Ignoring invalid record for instance', instanceId, err.message);
+                }
+            });
+            return instances;
         })
         .catch((err) => {
             const message = `Unable to get file instances from db: ${err && err.message ? err.message : err}`;
@@ -1218,63 +1911,400 @@ function getInstancesFromDb() {
         });
 }
 
-function deleteData(fileName) {
-    const file = this.storageBucket.file(fileName);
-    return file.delete();
+/**
+ * Gets the newest UCS which matches its checksums
+ *
+ * When streaming, the checksums are only known to match once the stream has ended,
+ * so a stream that does not match emits an error rather than falling back to an
+ * older UCS.
+ *
+ * @param {Object[]} objects       - UCS objects from the storage backend, newest first.
+ * @param {Number}   index         - Index in objects of the UCS to try.
+ * @param {Object}   [readOptions] - Stream options for getData.
+ *
+ * @returns {Promise} A promise which is resolved with the UCS data (or stream or file
+ *                    path), or undefined if none of the objects match their checksums.
+ */
+function getNewestIntactUcs(objects, index, readOptions) {
+    if (index >= objects.length) {
+        this.logger.error('No stored UCS matches its checksums');
+        return q();
+    }
+
+    return getData.call(this, objects[index].name, Object.assign({}, readOptions, { verify: true }))
+        .catch((err) => {
+            if (err && err.code === 'CHECKSUM_MISMATCH') {
+                this.logger.error('Skipping corrupt UCS', objects[index].name);
+                return getNewestIntactUcs.call(this, objects, index + 1, readOptions);
+            }
+            return q.reject(err);
+        });
 }
 
 /**
- * Deletes the oldest objects in a bucket
+ * Parses a URI for getDataFromUri
+ *
+ * @param {String} uri - The URI.
  *
- * @param {String}        folder       - The folder in which object are stored
- * @param {Number}        maxCopies    - Maximum number of object to keep
- * @param {String}        [filePrefix] - Common prefix for files. Default is to examine full file name
+ * @returns {Object} Either { bucket, object, generation, userProject } for Cloud Storage or
+ *                   { secretName } for Secret Manager.
+ *
+ * @throws {Error} If the URI is not valid.
  */
-function deleteOldestObjects(folder, maxCopies) {
-    logger.silly('deleting oldest objects');
+function parseDataUri(uri) {
+    const gsutilPrefix = 'gs://';
+    const secretManagerPrefix = 'secretmanager://';
+
+    if (uri.startsWith(secretManagerPrefix)) {
+        const secretName = uri.substr(secretManagerPrefix.length);
+        const match = /^projects\/[^/]+\/secrets\/[^/]+(\/versions\/[^/]+)?$/.exec(secretName);
+        if (!match) {
+            const exampleURI = 'secretmanager://projects/project/secrets/secret/versions/version';
+            throw new Error(`Invalid URI. Format should be ${exampleURI}`);
+        }
+        return { secretName: match[1] ? secretName : `${secretName}/versions/latest` };
+    }
 
-    const options = {
-        prefix: folder
+    if (uri.startsWith('https://')) {
+        const parsed = parseUrl(uri, true);
+        let parts = parsed.pathname.substr(1).split('/');
+        if (parsed.hostname.endsWith('.storage.googleapis.com')) {
+            parts = [parsed.hostname.substr(0, parsed.hostname.length - '.storage.googleapis.com'.length)]
+                .concat(parts);
+        } else if (parsed.hostname !== 'storage.googleapis.com') {
+            throw new Error(
+                `Invalid URI. Unsupported host ${parsed.hostname}. ` +
+                'Format should be https://storage.googleapis.com/bucket/filename'
+            );
+        }
+
+        return getStorageReference(
+            parts.map(decodeURIComponent),
+            parsed.query.generation,
+            parsed.query.userProject,
+            'https://storage.googleapis.com/bucket/filename'
+        );
+    }
+
+    if (uri.startsWith(gsutilPrefix)) {
+        // gsutil format is gs://bucket/[folder/]filename[#generation]. Object names
+        // may contain '#' too, so only a trailing #<digits> is a generation.
+        const generationMatch = /#(\d+)$/.exec(uri);
+        const objectPath = generationMatch
+            ? uri.substring(gsutilPrefix.length, generationMatch.index)
+            : uri.substr(gsutilPrefix.length);
+        const generation = generationMatch ? generationMatch[1] : undefined;
+
+        return getStorageReference(objectPath.split('/'), generation, undefined, 'gs://bucket/filename');
+    }
+
+    throw new Error('Invalid URI. URI should be a gsutil.');
+}
+
+function getStorageReference(parts, generation, userProject, exampleURI) {
+    if (parts.length < 2 || parts[0] === '' || parts[1] === '') {
+        throw new Error(`Invalid URI. Format should be ${exampleURI}`);
+    }
+    if (typeof generation !== 'undefined' && !/^\d+$/.test(generation)) {
+        throw new Error(`Invalid generation ${generation}`);
+    }
+
+    // Support files in 'folders'
+    return {
+        bucket: parts[0],
+        object: parts.slice(1).join('/'),
+        generation,
+        userProject
     };
+}
 
-    return this.storageBucket.getFiles(options)
-        .then((data) => {
-            const files = data[0] || [];
-            const metadataPromises = [];
+function parseSecret(data) {
+    try {
+        return JSON.parse(data);
+    } catch (err) {
+        return data;
+    }
+}
 
-            if (files.length > maxCopies) {
-                files.forEach((file) => {
-                    metadataPromises.push(file.getMetadata());
-                });
-            }
+function sortNewestFirst(objects) {
+    return objects.slice().sort((a, b) => {
+        const aUpdated = new Date(a.updated);
+        const bUpdated = new Date(b.updated);
+
+        if (aUpdated < bUpdated) {
+            return 1;
+        } else if (bUpdated < aUpdated) {
+            return -1;
+        }
+        return 0;
+    });
+}
 
-            return q.all(metadataPromises);
+function getInstanceRecords() {
+    return getStorageBackend.call(this).getAll(INSTANCES_FOLDER)
+        .then((objects) => {
+            const instances = {};
+            Object.keys(objects).forEach((name) => {
+                instances[name.substr(INSTANCES_FOLDER.length)] = objects[name];
+            });
+            return instances;
+        });
+}
+
+/**
+ * Gets the record of every instance with a record or, if we keep one, an entry in the
+ * instance manifest
+ *
+ * @returns {Promise} A promise which is resolved with the records, keyed by instance ID.
+ *                    Manifest entries are used for instances without a record.
+ */
+function getStoredInstanceRecords() {
+    let records;
+
+    return getInstanceRecords.call(this)
+        .then((instanceRecords) => {
+            records = instanceRecords;
+            if (!this.providerOptions || !this.providerOptions.instanceManifest) {
+                return {};
+            }
+            return getDataAndGeneration.call(this, INSTANCE_MANIFEST_FILE)
+                .then((result) => {
+                    return (result.data && result.data.instances) || {};
+                });
         })
+        .then((manifestRecords) => {
+            return Object.assign({}, manifestRecords, records);
+        });
+}
+
+/**
+ * Tells whether an instance record is of a primary which has not expired, and so should
+ * be kept even if the instance group no longer has the instance
+ */
+function isActivePrimary(record) {
+    let instance;
+    try {
+        instance = instanceSchema.upgrade(record);
+    } catch (err) {
+        return false;
+    }
+    return !!instance.isPrimary && !this.isInstanceExpired(instance);
+}
+
+/**
+ * Gets the names of the join and sync subscriptions for our instance group
+ *
+ * @returns {Promise} A promise which is resolved with the subscription names, without
+ *                    the project. Empty if we do not use Pub/Sub.
+ */
+function getSubscriptionNames() {
+    if (!this.pubSub) {
+        return q([]);
+    }
+
+    return q.all([
+        this.pubSub.getSubscriptions({ topic: getJoinTopicName.call(this) }),
+        this.pubSub.getSubscriptions({ topic: getSyncTopicName.call(this) })
+    ])
         .then((results) => {
-            const deletePromises = [];
-
-            // Get metadata (position zero in result: result[0]) from results
-            const metadataResults = results.map((result) => {
-                return result[0];
-            }) || [];
-
-            // Sort so that oldest is first
-            metadataResults.sort((a, b) => {
-                const aUpdated = new Date(a.updated);
-                const bUpdated = new Date(b.updated);
-                if (aUpdated < bUpdated) {
-                    return -1;
-                } else if (bUpdated < aUpdated) {
-                    return 1;
-                }
-                return 0;
+            const subscriptions = [];
+            results.forEach((data) => {
+                const names = (data && data[0]) || [];
+                names.forEach((name) => {
+                    // Full names are of the form 'projects/<project>/subscriptions/<name>'
+                    const subscription = name.substr(name.lastIndexOf('/') + 1);
+                    const isOurs = subscription.startsWith(JOIN_PREFIX)
+                        || subscription.startsWith(SYNC_COMPLETE_PREFIX);
+                    if (isOurs) {
+                        subscriptions.push(subscription);
+                    }
+                });
             });
+            return subscriptions;
+        });
+}
 
-            for (let i = 0; i < metadataResults.length - maxCopies; i++) {
-                deletePromises.push(deleteData.call(this, metadataResults[i].name));
+/**
+ * Deletes what collectGarbage found
+ *
+ * Objects which have already gone are not an error, since another instance may be
+ * cleaning up too. Anything else which cannot be deleted is listed in failed rather
+ * than with what was deleted.
+ *
+ * @param {Object} orphans - What to delete, as found by collectGarbage.
+ *
+ * @returns {Promise} A promise which is resolved, once every delete has been tried, with
+ *                    what was deleted and what failed, in the same form as orphans.
+ */
+function deleteOrphans(orphans) {
+    const deleteIfExists = (fileName) => {
+        return deleteData.call(this, fileName)
+            .catch((err) => {
+                return isNotFound(err) ? q() : q.reject(err);
+            });
+    };
+    const deleters = {
+        instances: (instanceId) => {
+            return deleteIfExists(INSTANCES_FOLDER + instanceId)
+                .then(() => {
+                    return updateInstanceManifest.call(this, instanceId);
+                });
+        },
+        publicKeys: (instanceId) => {
+            return deleteIfExists(PUBLIC_KEYS_FOLDER + instanceId);
+        },
+        backups: (name) => {
+            return deleteIfExists(name);
+        },
+        subscriptions: (subscription) => {
+            return this.pubSub.deleteSubscription(subscription);
+        }
+    };
+
+    const outcome = {
+        failed: []
+    };
+
+    return q.all(Object.keys(deleters).map((type) => {
+        return q.allSettled(orphans[type].map(deleters[type]))
+            .then((results) => {
+                const deleted = [];
+                results.forEach((result, index) => {
+                    const name = orphans[type][index];
+                    if (result.state === 'fulfilled') {
+                        deleted.push(name);
+                    } else {
+                        const reason = result.reason;
+                        this.logger.warn('collectGarbage could not delete', type, name);
+                        outcome.failed.push({
+                            type,
+                            name,
+                            error: reason && reason.message ? reason.message : reason
+                        });
+                    }
+                });
+                outcome[type] = deleted;
+            });
+    }))
+        .then(() => {
+            return outcome;
+        });
+}
+
+/**
+ * Validates an instance record and migrates it to the current schema version
+ *
+ * @param {String} instanceId - ID of instance.
+ * @param {Object} record     - The instance record as stored.
+ *
+ * @returns {Object} The upgraded record.
+ *
+ * @throws {Error} If the record is not valid.
+ */
+function upgradeInstanceRecord(instanceId, record) {
+    if (instanceSchema.isNewer(record)) {
+        this.logger.silly(
+            'instance record for', instanceId, 'is schema version', record.schemaVersion,
+            '- reading the fields we know'
+        );
+    }
+    return instanceSchema.upgrade(record);
+}
+
+/**
+ * Gets the fields of an instance record that differ from the record as it was read
+ *
+ * @param {Object} [original] - Record as it was read. If missing, every field counts as changed.
+ * @param {Object} instance   - Record with the caller's changes.
+ *
+ * @returns {Object} The changed fields and their new values.
+ */
+function getChangedFields(original, instance) {
+    const changes = {};
+    Object.keys(instance).forEach((field) => {
+        if (!original || !isSameValue(original[field], instance[field])) {
+            changes[field] = instance[field];
+        }
+    });
+    return changes;
+}
+
+function isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function copyRecord(record) {
+    return JSON.parse(JSON.stringify(record));
+}
+
+/**
+ * Updates an instance in the instance manifest, if we keep one
+ *
+ * @param {String} instanceId - ID of instance.
+ * @param {Object} [record]   - The instance record. If not set, the instance is removed.
+ *
+ * @returns {Promise} A promise which is resolved when the manifest is updated.
+ */
+function updateInstanceManifest(instanceId, record) {
+    if (!this.providerOptions || !this.providerOptions.instanceManifest) {
+        return q();
+    }
+
+    return updateData.call(
+        this,
+        INSTANCE_MANIFEST_FILE,
+        (manifest) => {
+            // Without a manifest, the next read builds one from the instance records
+            if (!manifest) {
+                return undefined;
             }
 
-            return q.all(deletePromises);
+            const instances = Object.assign({}, manifest.instances);
+            if (record) {
+                instances[instanceId] = record;
+            } else if (instances[instanceId]) {
+                delete instances[instanceId];
+            } else {
+                return undefined;
+            }
+            return Object.assign({}, manifest, { instances });
+        }
+    );
+}
+
+function deleteData(fileName) {
+    return getStorageBackend.call(this).delete(fileName);
+}
+
+/**
+ * Deletes the autosaved UCS files that retention does not keep
+ *
+ * @param {Number} maxCopies    - Number of files to keep if there is no providerOptions.ucsRetention.
+ * @param {String} [filePrefix] - Common prefix for autosaved files. Default is to examine every file.
+ *
+ * @returns {Promise} A promise which is resolved when the files are deleted.
+ */
+function deleteExpiredUcs(maxCopies, filePrefix) {
+    const policy = (this.providerOptions && this.providerOptions.ucsRetention) || { keepLast: maxCopies };
+    let objects;
+
+    logger.silly('deleting expired UCS files');
+
+    return getStorageBackend.call(this).list(BACKUP_FOLDER)
+        .then((results) => {
+            objects = results;
+            return getDataAndGeneration.call(this, PINNED_UCS_FILE);
+        })
+        .then((result) => {
+            const pinned = (result.data && result.data.pinned) || [];
+            const autosaved = objects.filter((object) => {
+                const fileName = object.name.substr(BACKUP_FOLDER.length);
+                return fileName.startsWith(filePrefix || '') && pinned.indexOf(fileName) === -1;
+            });
+
+            return q.all(ucsRetention.selectExpired(autosaved, policy).map((object) => {
+                return deleteData.call(this, object.name);
+            }));
         })
         .catch((err) => {
             logger.error('Error deleting old UCS files', err);
@@ -1282,82 +2312,620 @@ function deleteOldestObjects(folder, maxCopies) {
         });
 }
 
-function getData(fileName, options) {
-    let file;
-    if (options && options.bucket) {
-        file = this.storage
-            .bucket(options.bucket)
-            .file(fileName);
-    } else {
-        file = this.storageBucket.file(fileName);
+/**
+ * Gets the storage backend for the cluster database
+ *
+ * Unless another backend was configured, this is our storage bucket. That backend
+ * is created on each call so that it always uses the current bucket. If we have a
+ * storage prefix, object names are relative to it.
+ *
+ * @returns {Object} The storage backend. See {@link module:storageBackends}.
+ */
+function getStorageBackend() {
+    const backend = getUnprefixedStorageBackend.call(this);
+    if (!this.storagePrefix) {
+        return backend;
     }
-    let fileData;
+    return new storageBackends.PrefixedBackend({ backend, prefix: this.storagePrefix });
+}
 
-    return file.download()
-        .then((downloadResponse) => {
-            fileData = downloadResponse[0];
-            return file.getMetadata();
+/**
+ * Tells whether there is a cluster database, either a storage backend or the storage bucket
+ */
+function hasStorageBackend() {
+    return !!(this.storageBackend || this.storageBucket);
+}
+
+function getUnprefixedStorageBackend() {
+    if (this.storageBackend) {
+        return this.storageBackend;
+    }
+    return getGcsBackend.call(this, this.storageBucket);
+}
+
+/**
+ * Copies an object from one backend to another, then deletes the original
+ *
+ * @param {Object}  from   - Backend to move from.
+ * @param {Object}  to     - Backend to move to.
+ * @param {String}  name   - Name of the object.
+ * @param {Boolean} dryRun - Only check whether the object would be moved.
+ *
+ * @returns {Promise} A promise which is resolved with whether the object was (or would be)
+ *                    moved, which it is not if it already exists in the to backend.
+ */
+function moveObject(from, to, name, dryRun) {
+    return to.get(name)
+        .then(() => {
+            return false;
         })
-        .then((metadataResponse) => {
-            const metadata = metadataResponse[0];
-            const contentType = metadata.contentType || '';
-            switch (contentType) {
-            case 'application/octet-stream':
-                return fileData;
-            case 'application/json':
-                return JSON.parse(fileData);
-            default:
-                return fileData.toString();
+        .catch((err) => {
+            if (!isNotFound(err)) {
+                return q.reject(err);
             }
-        })
+
+            if (dryRun) {
+                return true;
+            }
+
+            return from.get(name)
+                .then((result) => {
+                    return to.put(name, result.data, { generation: 0 });
+                })
+                .then(() => {
+                    return from.delete(name);
+                })
+                .then(() => {
+                    return true;
+                })
+                .catch((moveErr) => {
+                    // Someone else wrote the new name while we were copying
+                    return isPreconditionFailed(moveErr) ? false : q.reject(moveErr);
+                });
+        });
+}
+
+/**
+ * Gets a Cloud Storage backend for a bucket
+ *
+ * @param {Object}  bucket                 - The bucket.
+ * @param {Object}  [options]              - Optional parameters.
+ * @param {String}  [options.userProject]  - Project to bill for requests, if the bucket is requester pays.
+ * @param {Boolean} [options.otherBucket]  - The bucket is not our storage bucket, so its objects are not
+ *                                           encrypted with our keys. Default false.
+ *
+ * @returns {Object} The backend.
+ */
+function getGcsBackend(bucket, options) {
+    const providerOptions = this.providerOptions || {};
+    const otherBucket = options && options.otherBucket;
+    return new storageBackends.GcsBackend({
+        bucket,
+        userProject: options ? options.userProject : undefined,
+        kmsKeyName: otherBucket ? undefined : providerOptions.kmsKeyName,
+        encryptionKey: otherBucket ? undefined : this.encryptionKey,
+        concurrency: providerOptions.storageConcurrency
+    });
+}
+
+/**
+ * Gets data from the cluster database
+ *
+ * By default the whole object is read into memory. With options.stream or options.filePath
+ * it is streamed instead, and progress is reported as it is read.
+ *
+ * @param {String}   fileName              - Name of the object.
+ * @param {Object}   [options]             - Optional parameters.
+ * @param {String}   [options.bucket]      - Read from this Cloud Storage bucket instead.
+ * @param {String}   [options.userProject] - Project to bill for reads from options.bucket, if it is
+ *                                           requester pays.
+ * @param {String}   [options.generation]  - Read this generation of the object.
+ * @param {Boolean}  [options.verify]      - Check the data against the checksums stored with it.
+ * @param {String}   [options.as]          - Decode the data as one of storageData.FORMATS instead of
+ *                                           by its content type.
+ * @param {Boolean}  [options.stream]      - Resolve with a readable stream of the raw data. The stream
+ *                                           emits 'progress' events. See options.onProgress.
+ * @param {String}   [options.filePath]    - Write the raw data to this local file and resolve with the
+ *                                           path once it is written.
+ * @param {Function} [options.onProgress]  - Called with { bytes, totalBytes } as data is streamed.
+ *
+ * @returns {Promise} A promise which is resolved with the data, a stream or the file path.
+ */
+function getData(fileName, options) {
+    const opts = options || {};
+    const readOptions = { verify: opts.verify, generation: opts.generation, as: opts.as };
+    let backend;
+    let promise;
+
+    if (opts.as) {
+        if (storageBackends.storageData.FORMATS.indexOf(opts.as) === -1) {
+            return q.reject(new Error(`Unknown data format ${opts.as}`));
+        }
+        if (opts.stream || opts.filePath) {
+            return q.reject(new Error('options.as cannot be used when streaming'));
+        }
+    }
+
+    if (opts.bucket) {
+        const bucketOptions = opts.userProject ? { userProject: opts.userProject } : undefined;
+        const otherBucket = !this.providerOptions || opts.bucket !== this.providerOptions.storageBucket;
+        backend = getGcsBackend.call(
+            this,
+            this.storage.bucket(opts.bucket, bucketOptions),
+            { userProject: opts.userProject, otherBucket }
+        );
+    } else {
+        backend = getStorageBackend.call(this);
+    }
+
+    if (opts.stream || opts.filePath) {
+        promise = backend.getStream(fileName, readOptions)
+            .then((result) => {
+                const progressStream = createProgressStream(result.size, opts.onProgress);
+                result.stream.on('error', (err) => {
+                    progressStream.emit('error', err);
+                });
+                result.stream.pipe(progressStream);
+
+                if (opts.filePath) {
+                    return writeStreamToFile(progressStream, opts.filePath);
+                }
+                return progressStream;
+            });
+    } else {
+        promise = backend.get(fileName, readOptions)
+            .then((result) => {
+                return result.data;
+            });
+    }
+
+    return promise
         .catch((err) => {
             this.logger.error('getData error', err && err.message ? err.message : err);
             return q.reject(err);
         });
 }
 
-function putData(fileName, data) {
-    const file = this.storageBucket.file(fileName);
-    const metadata = {};
+/**
+ * Creates a pass through stream which reports how much has passed through it
+ *
+ * @param {Number}   totalBytes   - Size of the data.
+ * @param {Function} [onProgress] - Called with { bytes, totalBytes } for each chunk.
+ *
+ * @returns {stream.Transform} A stream which emits 'progress' with { bytes, totalBytes }
+ *                             for each chunk.
+ */
+function createProgressStream(totalBytes, onProgress) {
+    let bytes = 0;
+
+    const progressStream = new stream.Transform({
+        transform(chunk, encoding, cb) {
+            bytes += chunk.length;
+            const progress = { bytes, totalBytes };
+            progressStream.emit('progress', progress);
+            if (onProgress) {
+                onProgress(progress);
+            }
+            cb(null, chunk);
+        }
+    });
+
+    return progressStream;
+}
+
+/**
+ * Writes a stream to a local file, removing the file if the stream fails
+ *
+ * @param {stream.Readable} readable - The stream.
+ * @param {String}          filePath - Path of the file.
+ *
+ * @returns {Promise} A promise which is resolved with filePath when the file is written.
+ */
+function writeStreamToFile(readable, filePath) {
     const deferred = q.defer();
+    const writable = fs.createWriteStream(filePath);
 
-    if (data instanceof stream.Readable) {
-        data.pipe(file.createWriteStream({
-            contentType: 'application/octet-stream'
-        }))
-            .on('error', (err) => {
-                logger.info('putData error', err && err.message ? err.message : err);
-                deferred.reject(err);
-            })
-            .on('finish', () => {
-                deferred.resolve();
-            });
-    } else {
-        let dataToWrite;
-        if (typeof data !== 'string') {
-            dataToWrite = JSON.stringify(data);
-            metadata.contentType = 'application/json';
-        } else {
-            dataToWrite = data;
-            metadata.contentType = 'text/plain';
-        }
+    const fail = function (err) {
+        writable.destroy();
+        fs.unlink(filePath, () => {
+            deferred.reject(err);
+        });
+    };
 
-        return file.save(
-            dataToWrite,
-            {
-                metadata,
-                resumable: false
+    readable.on('error', fail);
+    readable.pipe(writable)
+        .on('error', fail)
+        .on('finish', () => {
+            deferred.resolve(filePath);
+        });
+
+    return deferred.promise;
+}
+
+/**
+ * Gets data along with the generation it was read at, for a later conditional write
+ *
+ * @param {String} fileName - Name of the object.
+ *
+ * @returns {Promise} A promise which is resolved with
+ *
+ *                    {
+ *                        data: <decoded data> (undefined if the object does not exist),
+ *                        generation: <String> (0 if the object does not exist)
+ *                    }
+ */
+function getDataAndGeneration(fileName) {
+    return getStorageBackend.call(this).get(fileName)
+        .catch((err) => {
+            if (isNotFound(err)) {
+                return { generation: 0 };
             }
-        )
-            .then(() => {
-                deferred.resolve();
-            })
-            .catch((err) => {
+            return q.reject(err);
+        });
+}
+
+/**
+ * Read-modify-writes data using object generations
+ *
+ * If the object changes between our read and write, it is read again and
+ * update is called with the new data.
+ *
+ * @param {String}   fileName  - Name of the object in our bucket.
+ * @param {Function} update    - Called with the current data (undefined if there is none).
+ *                               Returns the data to write, or undefined to write nothing.
+ * @param {Number}   [attempt] - Which attempt this is. Used when retrying.
+ *
+ * @returns {Promise} A promise which is resolved with
+ *
+ *                    {
+ *                        written: <Boolean>,
+ *                        conflict: <Boolean> (whether any write lost to another writer),
+ *                        attempts: <Number>
+ *                    }
+ *
+ *                    or rejected if an error occurs or every attempt conflicted.
+ */
+function updateData(fileName, update, attempt) {
+    const thisAttempt = attempt || 1;
+
+    return getDataAndGeneration.call(this, fileName)
+        .then((current) => {
+            const data = update(current.data);
+            if (typeof data === 'undefined') {
+                return { written: false, conflict: thisAttempt > 1, attempts: thisAttempt - 1 };
+            }
+
+            return putData.call(this, fileName, data, { generation: current.generation })
+                .then(() => {
+                    return { written: true, conflict: thisAttempt > 1, attempts: thisAttempt };
+                })
+                .catch((err) => {
+                    if (isPreconditionFailed(err) && thisAttempt < MAX_UPDATE_ATTEMPTS) {
+                        this.logger.silly('conflict writing', fileName, '- retrying');
+                        return updateData.call(this, fileName, update, thisAttempt + 1);
+                    }
+                    return q.reject(err);
+                });
+        });
+}
+
+function isNotFound(err) {
+    return !!err && err.code === 404;
+}
+
+function isPreconditionFailed(err) {
+    return !!err && err.code === 412;
+}
+
+/**
+ * Writes data to the cluster database
+ *
+ * @param {String}          fileName             - Name of the object.
+ * @param {Object | String | Buffer | stream.Readable} data - Data to write. Objects are written as JSON.
+ * @param {Object}          [options]            - Optional parameters.
+ * @param {String | Number} [options.generation] - Only write if the object is at this generation.
+ *                                                 0 means only write if the object does not exist.
+ *
+ * @returns {Promise} A promise which is resolved when the data is written.
+ */
+function putData(fileName, data, options) {
+    return getStorageBackend.call(this).put(fileName, data, options)
+        .catch((err) => {
+            // losing a conditional write is expected, the caller decides what to do about it
+            if (!isPreconditionFailed(err)) {
                 logger.error('putData error', err && err.message ? err.message : err);
-                deferred.reject(err);
+            }
+            return q.reject(err);
+        });
+}
+
+/**
+ * Reads the primary lease
+ *
+ * @returns {Promise} A promise which is resolved with
+ *
+ *                    {
+ *                        generation: <String> (0 if there is no lease),
+ *                        lease: {
+ *                            holder: <instance ID>,
+ *                            acquiredAt: <ISO date string>,
+ *                            expiresAt: <ISO date string>
+ *                        } (undefined if there is no lease)
+ *                    }
+ */
+function getPrimaryLease() {
+    return getDataAndGeneration.call(this, PRIMARY_LEASE_FILE)
+        .then((result) => {
+            return {
+                generation: result.generation,
+                lease: result.data
+            };
+        });
+}
+
+/**
+ * Acquires or renews the primary lease
+ *
+ * The lease is only written if the object has not changed since we read it
+ * (generation 0 meaning it must not exist), so two instances cannot both
+ * acquire it.
+ *
+ * @param {String} instanceId - Instance ID that wants the lease.
+ *
+ * @returns {Promise} A promise which is resolved with
+ *
+ *                    {
+ *                        acquired: <Boolean>,
+ *                        lease: <Object> (the current lease, see getPrimaryLease)
+ *                    }
+ */
+function acquirePrimaryLease(instanceId) {
+    return getPrimaryLease.call(this)
+        .then((current) => {
+            if (isLeaseHeldByOther(current.lease, instanceId)) {
+                return { acquired: false, lease: current.lease };
+            }
+
+            const leaseSeconds = typeof this.providerOptions.primaryLeaseSeconds === 'number'
+                ? this.providerOptions.primaryLeaseSeconds
+                : DEFAULT_PRIMARY_LEASE_SECONDS;
+            const now = new Date();
+            const renewing = current.lease && current.lease.holder === instanceId;
+            const lease = {
+                holder: instanceId,
+                acquiredAt: renewing ? current.lease.acquiredAt : now.toISOString(),
+                expiresAt: new Date(now.getTime() + (leaseSeconds * 1000)).toISOString()
+            };
+
+            return putData.call(this, PRIMARY_LEASE_FILE, lease, { generation: current.generation })
+                .then(() => {
+                    const action = renewing ? 'renewed' : 'acquired';
+                    this.logger.silly(action, 'primary lease until', lease.expiresAt);
+                    return { lease, acquired: true };
+                })
+                .catch((err) => {
+                    if (isPreconditionFailed(err)) {
+                        // someone else wrote the lease after we read it
+                        this.logger.info('Lost race for primary lease');
+                        return getPrimaryLease.call(this)
+                            .then((latest) => {
+                                return {
+                                    acquired: !!latest.lease && latest.lease.holder === instanceId,
+                                    lease: latest.lease
+                                };
+                            });
+                    }
+                    return q.reject(err);
+                });
+        });
+}
+
+/**
+ * Reconciles the result of an election with the primary lease
+ *
+ * @param {String}   electedId    - Instance ID chosen by the election strategy.
+ * @param {String[]} candidateIds - Instance IDs that are eligible to be primary.
+ *
+ * @returns {Promise} A promise which is resolved with the instance ID to use as
+ *                    primary, or undefined if we have to wait for the lease to expire.
+ */
+function applyPrimaryLease(electedId, candidateIds) {
+    let leasePromise;
+
+    if (electedId === this.instanceId) {
+        leasePromise = acquirePrimaryLease.call(this, electedId);
+    } else {
+        leasePromise = getPrimaryLease.call(this)
+            .then((current) => {
+                return { acquired: false, lease: current.lease };
             });
     }
-    return deferred.promise;
+
+    return leasePromise
+        .then((result) => {
+            if (result.acquired || !isLeaseHeldByOther(result.lease, electedId)) {
+                return electedId;
+            }
+
+            const holder = result.lease.holder;
+            if (candidateIds.indexOf(holder) !== -1) {
+                this.logger.info('Primary lease is held by', holder, '- keeping it as primary');
+                return holder;
+            }
+
+            this.logger.info(
+                'Primary lease is held by ineligible instance',
+                holder,
+                'until',
+                result.lease.expiresAt
+            );
+            return undefined;
+        });
+}
+
+function isLeaseHeldByOther(lease, instanceId) {
+    return !!lease && lease.holder !== instanceId && new Date(lease.expiresAt).getTime() > Date.now();
+}
+
+/**
+ * Stores primary credentials in the configured credentials store
+ *
+ * In Secret Manager, the credentials are added as a new version and versions
+ * beyond providerOptions.credentialsRetentionCount are destroyed.
+ *
+ * @param {Object} credentials - Credentials as returned by encryptCredentials.
+ *
+ * @returns {Promise} A promise which is resolved when the credentials are stored.
+ */
+function storeCredentials(credentials) {
+    if (!usesSecretManager.call(this)) {
+        return putData.call(this, CREDENTIALS_FILE, credentials);
+    }
+
+    const secretId = getCredentialsSecretId.call(this);
+    const retentionCount = typeof this.providerOptions.credentialsRetentionCount === 'number'
+        ? this.providerOptions.credentialsRetentionCount
+        : DEFAULT_CREDENTIALS_RETENTION_COUNT;
+
+    return this.secretManager.addVersion(secretId, JSON.stringify(credentials))
+        .then(() => {
+            return this.secretManager.destroyOldVersions(secretId, Math.max(retentionCount, 1));
+        })
+        .then((destroyedVersions) => {
+            if (destroyedVersions.length > 0) {
+                this.logger.silly('Destroyed old credentials versions', destroyedVersions);
+            }
+        });
+}
+
+/**
+ * Reads primary credentials from the configured credentials store
+ *
+ * @returns {Promise} A promise which is resolved with the stored credentials.
+ */
+function loadCredentials() {
+    if (!usesSecretManager.call(this)) {
+        return getData.call(this, CREDENTIALS_FILE);
+    }
+
+    const secretId = getCredentialsSecretId.call(this);
+    return this.secretManager.getLatestEnabled(secretId)
+        .then((data) => {
+            if (!data) {
+                return q.reject(new Error(`No enabled versions of secret ${secretId}`));
+            }
+            return JSON.parse(data.toString());
+        });
+}
+
+function usesSecretManager() {
+    return !!this.providerOptions
+        && this.providerOptions.credentialsStore === CREDENTIALS_STORE_SECRET_MANAGER;
+}
+
+function getCredentialsSecretId() {
+    return this.providerOptions.credentialsSecretId
+        || `${this.providerOptions.instanceGroup}-primary-credentials`;
+}
+
+/**
+ * Encrypts primary credentials for storage
+ *
+ * Encrypted credentials are stored in a versioned envelope:
+ *
+ *     {
+ *         formatVersion: 1,
+ *         encryption: 'kms' | 'cryptoUtil',
+ *         keyName: <KMS crypto key> (kms only),
+ *         encryptedKey: <encrypted symmetric key> (cryptoUtil only),
+ *         iv: <initialization vector> (cryptoUtil only),
+ *         data: <encrypted credentials>
+ *     }
+ *
+ * If no encryption is configured, the credentials are returned as they are.
+ *
+ * @param {Object} credentials - Credentials to encrypt.
+ *
+ * @returns {Promise} A promise which is resolved with the data to store.
+ */
+function encryptCredentials(credentials) {
+    const keyName = this.providerOptions.credentialsKmsKeyName;
+    const publicKey = this.providerOptions.credentialsPublicKey;
+    const data = JSON.stringify(credentials);
+
+    if (keyName) {
+        return this.kms.encrypt(keyName, data)
+            .then((ciphertext) => {
+                return {
+                    keyName,
+                    formatVersion: CREDENTIALS_FORMAT_VERSION,
+                    encryption: 'kms',
+                    data: ciphertext
+                };
+            });
+    }
+
+    if (publicKey) {
+        return cryptoUtil.symmetricEncrypt(publicKey, data)
+            .then((encrypted) => {
+                return {
+                    formatVersion: CREDENTIALS_FORMAT_VERSION,
+                    encryption: 'cryptoUtil',
+                    encryptedKey: encrypted.encryptedKey,
+                    iv: encrypted.iv,
+                    data: encrypted.encryptedData
+                };
+            });
+    }
+
+    this.logger.silly('No credentials encryption configured, storing credentials unencrypted');
+    return q(credentials);
+}
+
+/**
+ * Decrypts stored primary credentials
+ *
+ * Credentials stored before encryption was supported (without a formatVersion)
+ * are returned as they are.
+ *
+ * @param {Object} stored - Stored credentials. See encryptCredentials.
+ *
+ * @returns {Promise} A promise which is resolved with the credentials.
+ */
+function decryptCredentials(stored) {
+    if (!stored || !stored.formatVersion) {
+        return q(stored);
+    }
+
+    if (stored.formatVersion > CREDENTIALS_FORMAT_VERSION) {
+        return q.reject(new Error(`Unsupported credentials format version ${stored.formatVersion}`));
+    }
+
+    let decryptPromise;
+    switch (stored.encryption) {
+    case 'kms':
+        decryptPromise = this.kms.decrypt(stored.keyName, stored.data);
+        break;
+    case 'cryptoUtil':
+        if (!this.providerOptions.credentialsPrivateKeyFile) {
+            const message = 'providerOptions.credentialsPrivateKeyFile is required to decrypt credentials';
+            return q.reject(new Error(message));
+        }
+        decryptPromise = cryptoUtil.symmetricDecrypt(
+            this.providerOptions.credentialsPrivateKeyFile,
+            stored.encryptedKey,
+            stored.iv,
+            stored.data
+        );
+        break;
+    default:
+        return q.reject(new Error(`Unknown credentials encryption ${stored.encryption}`));
+    }
+
+    return decryptPromise
+        .then((decrypted) => {
+            return JSON.parse(decrypted.toString());
+        });
 }
 
 function getJoinTopicName() {
@@ -1376,6 +2944,146 @@ function getSyncSubscriptionName() {
     return SYNC_COMPLETE_PREFIX + this.instanceId;
 }
 
+/**
+ * Gets the VM creation time, labels and zone used by election strategies
+ *
+ * Failure to get the details is logged and resolved with no details, in
+ * which case strategies rank the VM last.
+ *
+ * @param {String} vmName   - Name of the VM.
+ * @param {String} [zoneId] - Zone the VM is in. Default is our zone.
+ *
+ * @returns {Promise} A promise which is resolved with
+ *
+ *                    {
+ *                        creationTimestamp: <String>,
+ *                        labels: <Object>,
+ *                        zone: <String>
+ *                    }
+ */
+function getVmDetails(vmName, zoneId) {
+    const zonePromise = zoneId
+        ? q(zoneId)
+        : metadataService.getMetadata('instance/zone').then(getZoneFromMetadataZone);
+
+    return zonePromise
+        .then((vmZoneId) => {
+            return this.compute.zone(vmZoneId).vm(vmName).getMetadata();
+        })
+        .then((data) => {
+            const vmMetadata = data[0] || {};
+            const details = {
+                creationTimestamp: vmMetadata.creationTimestamp,
+                labels: vmMetadata.labels || {}
+            };
+            if (vmMetadata.zone) {
+                details.zone = getZoneFromMetadataZone(vmMetadata.zone);
+            }
+            return details;
+        })
+        .catch((err) => {
+            this.logger.info('Unable to get vm details for', vmName, err && err.message ? err.message : err);
+            return {};
+        });
+}
+
+/**
+ * Gets the VMs in our instance group
+ *
+ * Zonal instance groups are looked up in the zone this BIG-IP is in. Regional
+ * instance groups are listed across all zones of our region. Either way, the
+ * zone of each VM is recorded in this.vmZones.
+ *
+ * @returns {Promise} A promise which is resolved with an array of Google cloud VMs.
+ */
+function getInstanceGroupVms() {
+    const instanceGroupName = this.providerOptions.instanceGroup;
+
+    if (this.providerOptions.regionalInstanceGroup) {
+        return listRegionalInstanceGroupVms.call(this, instanceGroupName)
+            .then((items) => {
+                return items.map((item) => {
+                    const zoneId = getZoneFromUrl(item.instance);
+                    const vm = this.compute.zone(zoneId).vm(item.instance);
+                    vm.metadata = item;
+                    this.vmZones[vm.name] = zoneId;
+                    return vm;
+                });
+            });
+    }
+
+    let zoneId;
+    return metadataService.getMetadata('instance/zone')
+        .then((metadataZone) => {
+            zoneId = getZoneFromMetadataZone(metadataZone);
+            const zone = this.compute.zone(zoneId);
+            const instanceGroup = zone.instanceGroup(instanceGroupName);
+            return instanceGroup.getVMs();
+        })
+        .then((data) => {
+            const vms = data[0] || [];
+            vms.forEach((vm) => {
+                this.vmZones[vm.name] = zoneId;
+            });
+            return vms;
+        });
+}
+
+/**
+ * Lists the instances in a regional instance group
+ *
+ * The compute SDK only knows about zonal instance groups, so call the API directly.
+ *
+ * @param {String} instanceGroupName - Name of the regional instance group.
+ *
+ * @returns {Promise} A promise which is resolved with the listInstances items, each
+ *                    of the form { instance: <instance URL>, status: <status> }
+ */
+function listRegionalInstanceGroupVms(instanceGroupName) {
+    const sendList = (pagePath) => {
+        const deferred = q.defer();
+        const requestOptions = {
+            method: 'POST',
+            uri: pagePath,
+            json: {}
+        };
+
+        this.compute.request(requestOptions, (err, response) => {
+            if (err) {
+                deferred.reject(err);
+            } else {
+                deferred.resolve(response);
+            }
+        });
+
+        return deferred.promise;
+    };
+
+    return pagination.getAllPages(
+        sendList,
+        `/regions/${this.region}/instanceGroups/${instanceGroupName}/listInstances`,
+        { pageSize: this.providerOptions.pageSize, pageSizeParam: 'maxResults' }
+    )
+        .then((pages) => {
+            return pages.reduce((items, page) => {
+                return items.concat(page.items || []);
+            }, []);
+        });
+}
+
+/**
+ * Gets the zone name from a resource URL.
+ *
+ * For example, 'https://www.googleapis.com/compute/v1/projects/foo/zones/us-west1-a/instances/bar'
+ * returns 'us-west1-a'
+ *
+ * @param {String} url - URL of a zonal resource
+ */
+function getZoneFromUrl(url) {
+    const match = /\/zones\/([^/]+)/.exec(url);
+    return match ? match[1] : undefined;
+}
+
 /**
  * Gets zone from zoneId.
  *
@@ -0,0 +1,174 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+const CURRENT_VERSION = 2;
+
+// Records written before records were versioned
+const UNVERSIONED = 1;
+
+/**
+ * Migrations, keyed by the version they upgrade from. Each returns a new record
+ * at the next version.
+ */
+const MIGRATIONS = {
+    [UNVERSIONED](record) {
+        // Libraries from before the rename said master rather than primary
+        const migrated = renameField(record, 'isMaster', 'isPrimary');
+        return renameField(migrated, 'masterStatus', 'primaryStatus');
+    }
+};
+
+// Types of the fields we rely on. Other fields are not checked.
+const FIELD_TYPES = {
+    hostname: 'string',
+    mgmtIp: 'string',
+    privateIp: 'string',
+    publicIp: 'string',
+    version: 'string',
+    status: 'string',
+    isPrimary: 'boolean',
+    providerVisible: 'boolean',
+    external: 'boolean',
+    primaryStatus: 'object'
+};
+
+// Checks for each of the types in FIELD_TYPES
+const TYPE_CHECKS = {
+    string(value) {
+        return typeof value === 'string';
+    },
+    boolean(value) {
+        return typeof value === 'boolean';
+    },
+    object(value) {
+        return typeof value === 'object';
+    }
+};
+
+/**
+ * Schema of the instance records in the cluster database.
+ *
+ * Records carry the version they were written at in schemaVersion. Records without
+ * one are version 1. Older records are migrated to CURRENT_VERSION when they are read.
+ *
+ * Records from a newer version, written by a newer library in a mixed version cluster,
+ * are read as they are. The fields we know about are still validated, and fields we
+ * do not know about (and the newer schemaVersion) are kept when we update the record.
+ *
+ * @module
+ */
+module.exports = {
+    CURRENT_VERSION,
+
+    /**
+     * Gets the schema version of a record
+     *
+     * @param {Object} record - Instance record.
+     *
+     * @returns {Number} The version.
+     */
+    getVersion(record) {
+        return typeof record.schemaVersion === 'undefined' ? UNVERSIONED : record.schemaVersion;
+    },
+
+    /**
+     * Validates a record and migrates it to the current version
+     *
+     * @param {Object} record - Instance record as stored.
+     *
+     * @returns {Object} A new record, at CURRENT_VERSION unless it was already at a newer version.
+     *
+     * @throws {Error} If the record is not valid.
+     */
+    upgrade(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw new Error('instance record is not an object');
+        }
+
+        const version = this.getVersion(record);
+        if (!Number.isInteger(version) || version < UNVERSIONED) {
+            throw new Error(`invalid instance record schemaVersion ${record.schemaVersion}`);
+        }
+
+        let upgraded = record;
+        for (let from = version; from < CURRENT_VERSION; from++) {
+            upgraded = MIGRATIONS[from](upgraded);
+        }
+        if (version < CURRENT_VERSION) {
+            upgraded = Object.assign({}, upgraded, { schemaVersion: CURRENT_VERSION });
+        }
+
+        validateFields(upgraded);
+        return upgraded;
+    },
+
+    /**
+     * Tells whether a record was written by a newer version of the schema than ours
+     *
+     * @param {Object} record - Instance record.
+     *
+     * @returns {Boolean} Whether the record is newer.
+     */
+    isNewer(record) {
+        return this.getVersion(record) > CURRENT_VERSION;
+    },
+
+    /**
+     * Sets the schema version on a record we are about to write
+     *
+     * A newer version is kept, so that we do not claim the record is older than it is.
+     *
+     * @param {Object} record - Instance record.
+     *
+     * @returns {Object} A new record with schemaVersion set.
+     */
+    stamp(record) {
+        const version = Math.max(this.getVersion(record), CURRENT_VERSION);
+        return Object.assign({}, record, { schemaVersion: version });
+    }
+};
+
+function renameField(record, from, to) {
+    if (typeof record[from] === 'undefined') {
+        return record;
+    }
+
+    const renamed = {};
+    Object.keys(record).forEach((field) => {
+        if (field !== from) {
+            renamed[field] = record[field];
+        }
+    });
+    if (typeof renamed[to] === 'undefined') {
+        renamed[to] = record[from];
+    }
+    return renamed;
+}
+
+function validateFields(record) {
+    Object.keys(FIELD_TYPES).forEach((field) => {
+        const value = record[field];
+        if (typeof value !== 'undefined' && value !== null && !TYPE_CHECKS[FIELD_TYPES[field]](value)) {
+            throw new Error(`instance record ${field} should be a ${FIELD_TYPES[field]}`);
+        }
+    });
+
+    if (typeof record.lastUpdate !== 'undefined' && Number.isNaN(new Date(record.lastUpdate).getTime())) {
+        throw new Error(`invalid instance record lastUpdate ${record.lastUpdate}`);
+    }
+}
@@ -0,0 +1,179 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+/* eslint-disable no-bitwise */
+
+const crypto = require('crypto');
+const stream = require('stream');
+const q = require('q');
+const storageData = require('./storageData');
+
+// Reflected Castagnoli polynomial, as used by Cloud Storage
+const CRC32C_POLYNOMIAL = 0x82F63B78;
+const CRC32C_TABLE = [];
+
+for (let i = 0; i < 256; i++) {
+    let crc = i;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = (crc & 1) ? (crc >>> 1) ^ CRC32C_POLYNOMIAL : crc >>> 1;
+    }
+    CRC32C_TABLE.push(crc >>> 0);
+}
+
+/**
+ * Constructor
+ *
+ * @class
+ * @classdesc
+ * Computes the CRC32C and MD5 checksums of data fed to it a chunk at a time.
+ */
+function Checksums() {
+    this.crc = 0xFFFFFFFF;
+    this.md5 = crypto.createHash('md5');
+}
+
+Checksums.prototype.update = function update(data) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    let crc = this.crc;
+
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC32C_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+
+    this.crc = crc;
+    this.md5.update(buffer);
+    return this;
+};
+
+/**
+ * Gets the checksums of the data so far, base64 encoded as in Cloud Storage object metadata
+ *
+ * @returns {Object} The checksums
+ *
+ *     {
+ *         crc32c: <base64 encoded big-endian CRC32C>,
+ *         md5Hash: <base64 encoded MD5>
+ *     }
+ */
+Checksums.prototype.digest = function digest() {
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE((this.crc ^ 0xFFFFFFFF) >>> 0, 0);
+    return {
+        crc32c: crc.toString('base64'),
+        md5Hash: this.md5.digest('base64')
+    };
+};
+
+/**
+ * Helpers for checking that stored objects arrived intact.
+ *
+ * @module
+ */
+module.exports = {
+    Checksums,
+
+    /**
+     * Computes the checksums of a Buffer or String
+     *
+     * @param {Buffer | String} data - The data.
+     *
+     * @returns {Object} The checksums. See {@link Checksums#digest}.
+     */
+    fromData(data) {
+        return new Checksums().update(data).digest();
+    },
+
+    /**
+     * Computes the checksums of everything read from a stream
+     *
+     * @param {stream.Readable} readable - The stream.
+     *
+     * @returns {Promise} A promise which is resolved with the checksums. See {@link Checksums#digest}.
+     */
+    fromStream(readable) {
+        const deferred = q.defer();
+        const checksums = new Checksums();
+
+        readable
+            .on('data', (chunk) => {
+                checksums.update(chunk);
+            })
+            .on('error', (err) => {
+                deferred.reject(err);
+            })
+            .on('end', () => {
+                deferred.resolve(checksums.digest());
+            });
+
+        return deferred.promise;
+    },
+
+    /**
+     * Checks data as it is read from a stream
+     *
+     * @param {stream.Readable} readable - The stream.
+     * @param {Object}          expected - Checksums the data should have.
+     * @param {String}          name     - Name of the object, for the error.
+     *
+     * @returns {stream.Readable} A stream of the same data which, instead of ending, emits an error
+     *                            with code 'CHECKSUM_MISMATCH' if the data does not match. Errors
+     *                            from readable are passed on.
+     */
+    verifyStream(readable, expected, name) {
+        const checksums = new Checksums();
+        const verifying = new stream.Transform({
+            transform(chunk, encoding, cb) {
+                checksums.update(chunk);
+                cb(null, chunk);
+            },
+            flush(cb) {
+                if (!module.exports.matches(expected, checksums.digest())) {
+                    cb(storageData.checksumMismatchError(name));
+                    return;
+                }
+                cb();
+            }
+        });
+
+        readable.on('error', (err) => {
+            verifying.emit('error', err);
+        });
+        return readable.pipe(verifying);
+    },
+
+    /**
+     * Tells whether two sets of checksums match
+     *
+     * Only the checksums in both sets are compared. Composite Cloud Storage objects,
+     * for example, have no MD5.
+     *
+     * @param {Object} expected - Checksums the data should have.
+     * @param {Object} actual   - Checksums the data does have.
+     *
+     * @returns {Boolean} Whether there is at least one checksum in both sets, and all of
+     *                    the checksums in both sets are the same.
+     */
+    matches(expected, actual) {
+        const names = ['crc32c', 'md5Hash'].filter((name) => {
+            return !!(expected && expected[name] && actual && actual[name]);
+        });
+        return names.length > 0 && names.every((name) => {
+            return expected[name] === actual[name];
+        });
+    }
+};
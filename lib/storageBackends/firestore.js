@@ -0,0 +1,205 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+const stream = require('stream');
+const q = require('q');
+const storageData = require('./storageData');
+
+/**
+ * Constructor
+ *
+ * @class
+ * @classdesc
+ * Cluster database backend that keeps objects as documents in a Cloud Firestore
+ * collection. Conditional writes use the document update time as the generation,
+ * so instance records are updated transactionally. See {@link module:storageBackends}
+ * for the interface.
+ *
+ * Documents are limited to 1 MiB, so streamed data and files (UCS backups) are not supported.
+ *
+ * @param {Object}    options            - Options.
+ * @param {Firestore} options.firestore  - Firestore client. See {@link Firestore}.
+ * @param {String}    options.collection - Collection to keep objects in.
+ */
+function FirestoreBackend(options) {
+    this.firestore = options.firestore;
+    this.collection = options.collection;
+}
+
+FirestoreBackend.prototype.get = function get(name, options) {
+    return this.firestore.getDocument(this.collection, getDocumentId(name))
+        .then((document) => {
+            // Only the current version of a document is kept
+            if (options && typeof options.generation !== 'undefined'
+                && String(options.generation) !== String(document.updateTime)) {
+                return q.reject(storageData.notFoundError(name));
+            }
+
+            // We never store files, so nothing here has checksums
+            if (options && options.verify) {
+                return q.reject(storageData.checksumMismatchError(name));
+            }
+
+            return {
+                data: decodeDocument(document, options && options.as),
+                generation: document.updateTime
+            };
+        })
+        .catch((err) => {
+            return q.reject(isStatus(err, 404) ? storageData.notFoundError(name) : err);
+        });
+};
+
+FirestoreBackend.prototype.getStream = function getStream(name, options) {
+    return this.get(name, options)
+        .then((result) => {
+            // Documents are small, so this is only for a consistent interface
+            const data = storageData.encode(result.data).data;
+            const readable = new stream.PassThrough();
+            readable.end(data);
+            return {
+                stream: readable,
+                size: Buffer.byteLength(data),
+                generation: result.generation
+            };
+        });
+};
+
+FirestoreBackend.prototype.put = function put(name, data, options) {
+    if (data instanceof stream.Readable) {
+        return q.reject(new Error('Streamed data is not supported by the Firestore storage backend'));
+    }
+
+    const encoded = storageData.encode(data);
+    const fields = {
+        contentType: { stringValue: encoded.contentType },
+        updated: { timestampValue: new Date().toISOString() }
+    };
+    if (Buffer.isBuffer(encoded.data)) {
+        fields.data = { bytesValue: encoded.data.toString('base64') };
+    } else {
+        fields.data = { stringValue: encoded.data };
+    }
+
+    let precondition;
+    if (options && typeof options.generation !== 'undefined') {
+        precondition = String(options.generation) === '0'
+            ? { exists: false }
+            : { updateTime: options.generation };
+    }
+
+    return this.firestore.writeDocument(this.collection, getDocumentId(name), fields, precondition)
+        .catch((err) => {
+            if (precondition && isPreconditionFailure(err)) {
+                return q.reject(storageData.preconditionFailedError(name));
+            }
+            return q.reject(err);
+        });
+};
+
+FirestoreBackend.prototype.putFile = function putFile() {
+    return q.reject(new Error('Files are not supported by the Firestore storage backend'));
+};
+
+FirestoreBackend.prototype.delete = function deleteObject(name) {
+    return this.firestore.deleteDocument(this.collection, getDocumentId(name))
+        .catch((err) => {
+            return q.reject(isStatus(err, 404) ? storageData.notFoundError(name) : err);
+        });
+};
+
+FirestoreBackend.prototype.list = function list(prefix) {
+    return listDocuments.call(this, prefix)
+        .then((documents) => {
+            return documents.map((document) => {
+                const fields = document.fields || {};
+                return {
+                    name: getName(document),
+                    updated: fields.updated ? fields.updated.timestampValue : undefined,
+                    generation: document.updateTime,
+                    size: getSize(fields.data),
+                    metadata: {}
+                };
+            });
+        });
+};
+
+FirestoreBackend.prototype.getAll = function getAll(prefix) {
+    return listDocuments.call(this, prefix)
+        .then((documents) => {
+            const objects = {};
+            documents.forEach((document) => {
+                objects[getName(document)] = decodeDocument(document);
+            });
+            return objects;
+        });
+};
+
+function listDocuments(prefix) {
+    return this.firestore.listDocuments(this.collection)
+        .then((documents) => {
+            return documents.filter((document) => {
+                return getName(document).startsWith(prefix || '');
+            });
+        });
+}
+
+/**
+ * Gets a document ID for an object name. Document IDs cannot contain '/'.
+ */
+function getDocumentId(name) {
+    return encodeURIComponent(name);
+}
+
+function getName(document) {
+    return decodeURIComponent(document.name.substr(document.name.lastIndexOf('/') + 1));
+}
+
+function getSize(data) {
+    if (!data) {
+        return 0;
+    }
+    if (typeof data.bytesValue !== 'undefined') {
+        return Buffer.from(data.bytesValue, 'base64').length;
+    }
+    return Buffer.byteLength(data.stringValue || '');
+}
+
+function decodeDocument(document, as) {
+    const fields = document.fields || {};
+    const contentType = fields.contentType ? fields.contentType.stringValue : undefined;
+    const data = fields.data || {};
+
+    if (typeof data.bytesValue !== 'undefined') {
+        return storageData.decode(Buffer.from(data.bytesValue, 'base64'), contentType, { as });
+    }
+    return storageData.decode(data.stringValue || '', contentType, { as });
+}
+
+function isStatus(err, statusCode) {
+    return !!(err && err.message && err.message.indexOf(`status code ${statusCode}`) !== -1);
+}
+
+function isPreconditionFailure(err) {
+    // A stale update time is FAILED_PRECONDITION, an existing document when there should be
+    // none is ALREADY_EXISTS and a deleted document when we expected one is NOT_FOUND
+    const failedPrecondition = isStatus(err, 400) && err.message.indexOf('FAILED_PRECONDITION') !== -1;
+    return failedPrecondition || isStatus(err, 409) || isStatus(err, 404);
+}
+
+module.exports = FirestoreBackend;
@@ -0,0 +1,309 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const stream = require('stream');
+const q = require('q');
+const storageData = require('./storageData');
+const checksums = require('./checksums');
+const mapLimit = require('./mapLimit');
+
+const DEFAULT_CONCURRENCY = 10;
+const DEFAULT_UPLOAD_ATTEMPTS = 3;
+const DEFAULT_UPLOAD_RETRY_DELAY_MS = 1000;
+
+/**
+ * Constructor
+ *
+ * @class
+ * @classdesc
+ * Cluster database backend that keeps objects in a Cloud Storage bucket.
+ * See {@link module:storageBackends} for the interface.
+ *
+ * @param {Object} options                 - Options.
+ * @param {Bucket} options.bucket          - Google Cloud Storage bucket.
+ * @param {String} [options.kmsKeyName]    - Cloud KMS key (CMEK) to encrypt objects with.
+ * @param {Buffer} [options.encryptionKey] - Customer-supplied AES-256 key (CSEK) for objects.
+ * @param {Number} [options.concurrency]   - Maximum downloads in flight for getAll. Default 10.
+ * @param {Number} [options.uploadAttempts] - Times to try a putFile upload. Default 3.
+ * @param {Number} [options.uploadRetryDelay] - Milliseconds to wait before resuming a failed
+ *                                            putFile upload. Default 1000.
+ * @param {String} [options.userProject]   - Project to bill for reads from a requester pays bucket.
+ *                                            The bucket should also have been created with it.
+ */
+function GcsBackend(options) {
+    this.bucket = options.bucket;
+    this.kmsKeyName = options.kmsKeyName;
+    this.encryptionKey = options.encryptionKey;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.userProject = options.userProject;
+    this.uploadAttempts = options.uploadAttempts || DEFAULT_UPLOAD_ATTEMPTS;
+    this.uploadRetryDelay = typeof options.uploadRetryDelay === 'number'
+        ? options.uploadRetryDelay
+        : DEFAULT_UPLOAD_RETRY_DELAY_MS;
+}
+
+GcsBackend.prototype.get = function get(name, options) {
+    let metadata;
+
+    return getFile.call(this, name, { generation: options && options.generation }).getMetadata()
+        .then((metadataResponse) => {
+            metadata = metadataResponse[0];
+
+            // Read the generation we got metadata for, in case it has since been replaced
+            return getFile.call(this, name, { generation: metadata.generation })
+                .download(getReadOptions.call(this));
+        })
+        .then((downloadResponse) => {
+            const verify = options && options.verify;
+            if (verify && !checksums.matches(metadata, checksums.fromData(downloadResponse[0]))) {
+                return q.reject(storageData.checksumMismatchError(name));
+            }
+
+            return {
+                data: storageData.decode(downloadResponse[0], metadata.contentType, {
+                    name,
+                    contentEncoding: metadata.contentEncoding,
+                    as: options && options.as
+                }),
+                generation: metadata.generation
+            };
+        });
+};
+
+GcsBackend.prototype.getStream = function getStream(name, options) {
+    return getFile.call(this, name, { generation: options && options.generation }).getMetadata()
+        .then((metadataResponse) => {
+            const metadata = metadataResponse[0];
+
+            // We check the checksums ourselves if asked to
+            const readable = getFile.call(this, name, { generation: metadata.generation })
+                .createReadStream(Object.assign({ validation: false }, getReadOptions.call(this)));
+
+            return {
+                stream: options && options.verify
+                    ? checksums.verifyStream(readable, metadata, name)
+                    : readable,
+                size: Number(metadata.size),
+                generation: metadata.generation
+            };
+        });
+};
+
+GcsBackend.prototype.put = function put(name, data, options) {
+    const file = getFile.call(this, name, { generation: options ? options.generation : undefined });
+    const deferred = q.defer();
+
+    if (data instanceof stream.Readable) {
+        data.pipe(file.createWriteStream({
+            contentType: storageData.CONTENT_TYPE_BINARY
+        }))
+            .on('error', (err) => {
+                deferred.reject(err);
+            })
+            .on('finish', () => {
+                deferred.resolve();
+            });
+    } else {
+        const encoded = storageData.encode(data);
+        file.save(
+            encoded.data,
+            {
+                metadata: {
+                    contentType: encoded.contentType
+                },
+                resumable: false
+            }
+        )
+            .then(() => {
+                deferred.resolve();
+            })
+            .catch((err) => {
+                deferred.reject(err);
+            });
+    }
+
+    return deferred.promise;
+};
+
+GcsBackend.prototype.putFile = function putFile(name, filePath, options) {
+    const file = getFile.call(this, name);
+    const metadata = {
+        contentType: storageData.CONTENT_TYPE_BINARY,
+        metadata: options && options.metadata ? options.metadata : {}
+    };
+    let fileChecksums;
+
+    return checksums.fromStream(fs.createReadStream(filePath))
+        .then((computed) => {
+            fileChecksums = computed;
+
+            // A session URI lets us pick up where a failed attempt left off
+            return file.createResumableUpload({ metadata });
+        })
+        .then((data) => {
+            return uploadFile.call(this, file, filePath, data[0], metadata, 1);
+        })
+        .then(() => {
+            return file.getMetadata();
+        })
+        .then((metadataResponse) => {
+            if (checksums.matches(fileChecksums, metadataResponse[0])) {
+                return q();
+            }
+
+            // Never leave a corrupt object where someone might use it
+            return file.delete()
+                .then(() => {
+                    return q.reject(storageData.checksumMismatchError(name));
+                });
+        });
+};
+
+GcsBackend.prototype.delete = function deleteObject(name) {
+    return getFile.call(this, name).delete();
+};
+
+GcsBackend.prototype.list = function list(prefix) {
+    // The listing already has each object's metadata, there is no need to ask for it again
+    return this.bucket.getFiles({ prefix })
+        .then((data) => {
+            const files = data[0] || [];
+            return files.map((file) => {
+                return {
+                    name: file.name,
+                    updated: file.metadata.updated,
+                    generation: file.metadata.generation,
+                    size: Number(file.metadata.size),
+                    metadata: file.metadata.metadata || {}
+                };
+            });
+        });
+};
+
+GcsBackend.prototype.getAll = function getAll(prefix) {
+    const objects = {};
+
+    return this.bucket.getFiles({ prefix })
+        .then((data) => {
+            const files = data[0] || [];
+
+            return mapLimit(files, this.concurrency, (file) => {
+                // Files from a listing do not know about our customer-supplied key
+                if (this.encryptionKey) {
+                    file.setEncryptionKey(this.encryptionKey);
+                }
+
+                return q(file.download(getReadOptions.call(this)))
+                    .then((downloadResponse) => {
+                        objects[file.name] = storageData.decode(
+                            downloadResponse[0],
+                            file.metadata.contentType
+                        );
+                    })
+                    .catch((err) => {
+                        // Deleted since we listed it
+                        if (err && err.code === 404) {
+                            return q();
+                        }
+                        return q.reject(err);
+                    });
+            });
+        })
+        .then(() => {
+            return objects;
+        });
+};
+
+/**
+ * Uploads a file to a resumable upload session, resuming if an attempt fails
+ *
+ * @param {File}   file     - Google Cloud Storage file to upload to.
+ * @param {String} filePath - Path of the local file.
+ * @param {String} uri      - Session URI from createResumableUpload.
+ * @param {Object} metadata - Object metadata.
+ * @param {Number} attempt  - Which attempt this is.
+ *
+ * @returns {Promise} A promise which is resolved when the upload is complete.
+ */
+function uploadFile(file, filePath, uri, metadata, attempt) {
+    const deferred = q.defer();
+
+    // We check the checksums ourselves once the upload is complete. With the
+    // session URI, the upload skips over the bytes the service already has.
+    fs.createReadStream(filePath)
+        .on('error', (err) => {
+            deferred.reject(err);
+        })
+        .pipe(file.createWriteStream({
+            uri,
+            resumable: true,
+            validation: false,
+            metadata
+        }))
+        .on('error', (err) => {
+            deferred.reject(err);
+        })
+        .on('finish', () => {
+            deferred.resolve();
+        });
+
+    return deferred.promise
+        .catch((err) => {
+            if (attempt >= this.uploadAttempts) {
+                return q.reject(err);
+            }
+            return q.delay(this.uploadRetryDelay)
+                .then(() => {
+                    return uploadFile.call(this, file, filePath, uri, metadata, attempt + 1);
+                });
+        });
+}
+
+function getReadOptions() {
+    return this.userProject ? { userProject: this.userProject } : {};
+}
+
+/**
+ * Gets a file object, applying our customer-managed or customer-supplied encryption key
+ *
+ * @param {String}          name                 - Name of the object.
+ * @param {Object}          [options]            - Optional parameters.
+ * @param {String | Number} [options.generation] - Generation of the object. For reads, the generation
+ *                                                 to read. For writes, only write if the object is at
+ *                                                 this generation.
+ *
+ * @returns {File} A Google Cloud Storage file.
+ */
+function getFile(name, options) {
+    const fileOptions = {};
+
+    if (options && typeof options.generation !== 'undefined') {
+        fileOptions.generation = options.generation;
+    }
+    if (this.kmsKeyName) {
+        fileOptions.kmsKeyName = this.kmsKeyName;
+    }
+    if (this.encryptionKey) {
+        fileOptions.encryptionKey = this.encryptionKey;
+    }
+
+    return this.bucket.file(name, fileOptions);
+}
+
+module.exports = GcsBackend;
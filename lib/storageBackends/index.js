@@ -0,0 +1,79 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+const GcsBackend = require('./gcs');
+const LocalBackend = require('./local');
+const FirestoreBackend = require('./firestore');
+const PrefixedBackend = require('./prefixed');
+const storageData = require('./storageData');
+
+/**
+ * Storage backends for the cluster database (instance records, public keys,
+ * credentials, UCS backups, etc.).
+ *
+ * A backend is any object with these methods, each of which returns a promise:
+ *
+ *     get(name, [options])
+ *         Resolves with { data, generation }. data is decoded with storageData.decode, so is
+ *         an Object for JSON and YAML, a Buffer for binary data and a String otherwise.
+ *         Rejects with an error whose code is 404 if there is no such object. If options.verify
+ *         is set, checks the data against the checksums stored with the object and rejects with
+ *         an error whose code is 'CHECKSUM_MISMATCH' if they differ or there are none. If
+ *         options.generation is set, reads that generation, or rejects with code 404 if the
+ *         backend no longer has it.
+ *         options.as decodes the data as one of storageData.FORMATS instead of by content type.
+ *
+ *     getStream(name, [options])
+ *         Like get, but resolves with { stream, size, generation } where stream is a readable
+ *         stream of the raw object data. With options.verify, the stream emits an error whose
+ *         code is 'CHECKSUM_MISMATCH' instead of ending if the data does not match.
+ *
+ *     put(name, data, [options])
+ *         Writes an Object (as JSON), String, Buffer or stream.Readable. If options.generation
+ *         is set, only writes if the object is at that generation (0 meaning it must not exist)
+ *         and otherwise rejects with an error whose code is 412.
+ *
+ *     putFile(name, filePath, [options])
+ *         Writes a local file as binary data, retrying or resuming after a failure, and checks
+ *         that what was stored has the same checksums as the file. If it does not, the object
+ *         is deleted and the promise rejected with an error whose code is 'CHECKSUM_MISMATCH'.
+ *         options.metadata is a set of String key/value pairs to store with the object.
+ *
+ *     delete(name)
+ *         Rejects with an error whose code is 404 if there is no such object.
+ *
+ *     list(prefix)
+ *         Resolves with an array of { name, updated, generation, size, metadata } for objects
+ *         whose name starts with prefix. metadata is what was passed to putFile, if anything.
+ *
+ *     getAll(prefix)
+ *         Resolves with the data of every object whose name starts with prefix, keyed by name.
+ *
+ * PrefixedBackend wraps any of these to keep a cluster's objects under its own prefix.
+ *
+ * @module
+ */
+module.exports = {
+    DEFAULT_BACKEND: 'gcs',
+
+    GcsBackend,
+    LocalBackend,
+    FirestoreBackend,
+    PrefixedBackend,
+    storageData
+};
@@ -0,0 +1,338 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const q = require('q');
+const storageData = require('./storageData');
+const checksums = require('./checksums');
+const mapLimit = require('./mapLimit');
+
+const DEFAULT_CONCURRENCY = 10;
+
+// Object metadata (content type, generation, update time) is kept in a parallel tree
+const METADATA_DIR = '.metadata';
+
+/**
+ * Constructor
+ *
+ * @class
+ * @classdesc
+ * Cluster database backend that keeps objects in a local directory, for running
+ * without access to Google Cloud. See {@link module:storageBackends} for the interface.
+ *
+ * Generations are checked, but only creating an object is atomic, so this backend
+ * should only be shared by processes on one machine for testing.
+ *
+ * @param {Object} options               - Options.
+ * @param {String} options.directory     - Directory to keep objects in. Created if needed.
+ * @param {Number} [options.concurrency] - Maximum reads in flight for list and getAll. Default 10.
+ */
+function LocalBackend(options) {
+    if (!options || !options.directory) {
+        throw new Error('directory is required for the local storage backend');
+    }
+    this.directory = options.directory;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+}
+
+LocalBackend.prototype.get = function get(name, options) {
+    let metadata;
+
+    return readMetadata.call(this, name)
+        .then((objectMetadata) => {
+            if (!objectMetadata || !isGeneration(objectMetadata.generation, options)) {
+                return q.reject(storageData.notFoundError(name));
+            }
+            metadata = objectMetadata;
+            return q.nfcall(fs.readFile, getObjectPath.call(this, name));
+        })
+        .then((data) => {
+            const verify = options && options.verify;
+            if (verify && !checksums.matches(metadata.checksums, checksums.fromData(data))) {
+                return q.reject(storageData.checksumMismatchError(name));
+            }
+
+            return {
+                data: storageData.decode(data, metadata.contentType, { name, as: options && options.as }),
+                generation: metadata.generation
+            };
+        });
+};
+
+LocalBackend.prototype.getStream = function getStream(name, options) {
+    const objectPath = getObjectPath.call(this, name);
+    let metadata;
+
+    return readMetadata.call(this, name)
+        .then((objectMetadata) => {
+            if (!objectMetadata || !isGeneration(objectMetadata.generation, options)) {
+                return q.reject(storageData.notFoundError(name));
+            }
+            metadata = objectMetadata;
+            return q.nfcall(fs.stat, objectPath);
+        })
+        .then((stats) => {
+            const readable = fs.createReadStream(objectPath);
+            return {
+                stream: options && options.verify
+                    ? checksums.verifyStream(readable, metadata.checksums, name)
+                    : readable,
+                size: stats.size,
+                generation: metadata.generation
+            };
+        });
+};
+
+LocalBackend.prototype.put = function put(name, data, options) {
+    const objectPath = getObjectPath.call(this, name);
+    const hasGeneration = options && typeof options.generation !== 'undefined';
+    let generation;
+
+    return readMetadata.call(this, name)
+        .then((metadata) => {
+            const currentGeneration = metadata ? metadata.generation : 0;
+            if (hasGeneration && String(options.generation) !== String(currentGeneration)) {
+                return q.reject(storageData.preconditionFailedError(name));
+            }
+            generation = currentGeneration + 1;
+            return makeDirectory(path.dirname(getMetadataPath.call(this, name)));
+        })
+        .then(() => {
+            // Claim the generation. This is what makes create-if-absent atomic.
+            const metadataPath = getMetadataPath.call(this, name);
+            const flag = hasGeneration && String(options.generation) === '0' ? 'wx' : 'w';
+            const metadata = {
+                generation,
+                contentType: data instanceof stream.Readable
+                    ? storageData.CONTENT_TYPE_BINARY
+                    : storageData.encode(data).contentType,
+                updated: new Date().toISOString()
+            };
+            return q.nfcall(fs.writeFile, metadataPath, JSON.stringify(metadata), { flag })
+                .catch((err) => {
+                    if (err.code === 'EEXIST') {
+                        return q.reject(storageData.preconditionFailedError(name));
+                    }
+                    return q.reject(err);
+                });
+        })
+        .then(() => {
+            return makeDirectory(path.dirname(objectPath));
+        })
+        .then(() => {
+            if (data instanceof stream.Readable) {
+                const deferred = q.defer();
+                data.pipe(fs.createWriteStream(objectPath))
+                    .on('error', (err) => {
+                        deferred.reject(err);
+                    })
+                    .on('finish', () => {
+                        deferred.resolve();
+                    });
+                return deferred.promise;
+            }
+            return q.nfcall(fs.writeFile, objectPath, storageData.encode(data).data);
+        });
+};
+
+LocalBackend.prototype.putFile = function putFile(name, filePath, options) {
+    const objectPath = getObjectPath.call(this, name);
+    let fileChecksums;
+
+    return checksums.fromStream(fs.createReadStream(filePath))
+        .then((computed) => {
+            fileChecksums = computed;
+            return this.put(name, fs.createReadStream(filePath));
+        })
+        .then(() => {
+            return checksums.fromStream(fs.createReadStream(objectPath));
+        })
+        .then((storedChecksums) => {
+            if (!checksums.matches(fileChecksums, storedChecksums)) {
+                return this.delete(name)
+                    .then(() => {
+                        return q.reject(storageData.checksumMismatchError(name));
+                    });
+            }
+
+            return readMetadata.call(this, name)
+                .then((metadata) => {
+                    const fileMetadata = Object.assign({}, metadata, {
+                        checksums: fileChecksums,
+                        metadata: options && options.metadata ? options.metadata : {}
+                    });
+                    return q.nfcall(
+                        fs.writeFile,
+                        getMetadataPath.call(this, name),
+                        JSON.stringify(fileMetadata)
+                    );
+                });
+        });
+};
+
+LocalBackend.prototype.delete = function deleteObject(name) {
+    return q.nfcall(fs.unlink, getMetadataPath.call(this, name))
+        .catch((err) => {
+            if (err.code === 'ENOENT') {
+                return q.reject(storageData.notFoundError(name));
+            }
+            return q.reject(err);
+        })
+        .then(() => {
+            return q.nfcall(fs.unlink, getObjectPath.call(this, name));
+        });
+};
+
+LocalBackend.prototype.list = function list(prefix) {
+    const metadataRoot = path.join(this.directory, METADATA_DIR);
+
+    return listFiles(metadataRoot)
+        .then((files) => {
+            const names = files
+                .map((file) => {
+                    // strip the metadata root and the .json suffix
+                    const relativePath = path.relative(metadataRoot, file);
+                    return relativePath.substr(0, relativePath.length - 5).split(path.sep).join('/');
+                })
+                .filter((name) => {
+                    return name.startsWith(prefix || '');
+                });
+
+            return mapLimit(names, this.concurrency, (name) => {
+                let metadata;
+                return readMetadata.call(this, name)
+                    .then((objectMetadata) => {
+                        metadata = objectMetadata;
+                        return q.nfcall(fs.stat, getObjectPath.call(this, name));
+                    })
+                    .then((stats) => {
+                        return {
+                            name,
+                            updated: metadata.updated,
+                            generation: metadata.generation,
+                            size: stats.size,
+                            metadata: metadata.metadata || {}
+                        };
+                    });
+            });
+        });
+};
+
+LocalBackend.prototype.getAll = function getAll(prefix) {
+    const objects = {};
+
+    return this.list(prefix)
+        .then((entries) => {
+            return mapLimit(entries, this.concurrency, (entry) => {
+                return this.get(entry.name)
+                    .then((result) => {
+                        objects[entry.name] = result.data;
+                    });
+            });
+        })
+        .then(() => {
+            return objects;
+        });
+};
+
+function getObjectPath(name) {
+    return path.join(this.directory, name.split('/').join(path.sep));
+}
+
+function getMetadataPath(name) {
+    return `${path.join(this.directory, METADATA_DIR, name.split('/').join(path.sep))}.json`;
+}
+
+function readMetadata(name) {
+    return q.nfcall(fs.readFile, getMetadataPath.call(this, name))
+        .then((data) => {
+            return JSON.parse(data);
+        })
+        .catch((err) => {
+            if (err.code === 'ENOENT') {
+                return undefined;
+            }
+            return q.reject(err);
+        });
+}
+
+/**
+ * Tells whether an object is at the generation asked for. We only keep the current generation.
+ */
+function isGeneration(generation, options) {
+    return !options || typeof options.generation === 'undefined'
+        || String(options.generation) === String(generation);
+}
+
+/**
+ * Creates a directory and any missing parents. fs.mkdir only takes the recursive
+ * option from Node 10.12, so walk the path one segment at a time.
+ */
+function makeDirectory(directory) {
+    const resolved = path.resolve(directory);
+    const root = path.parse(resolved).root;
+    const segments = resolved.substr(root.length).split(path.sep).filter((segment) => {
+        return segment;
+    });
+
+    let promise = q();
+    let current = root;
+    segments.forEach((segment) => {
+        current = path.join(current, segment);
+        const segmentPath = current;
+        promise = promise
+            .then(() => {
+                return q.nfcall(fs.mkdir, segmentPath);
+            })
+            .catch((err) => {
+                if (err.code === 'EEXIST') {
+                    return q();
+                }
+                return q.reject(err);
+            });
+    });
+    return promise;
+}
+
+function listFiles(directory) {
+    return q.nfcall(fs.readdir, directory)
+        .catch((err) => {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+            return q.reject(err);
+        })
+        .then((entries) => {
+            return q.all(entries.map((entry) => {
+                const entryPath = path.join(directory, entry);
+                return q.nfcall(fs.stat, entryPath)
+                    .then((stats) => {
+                        return stats.isDirectory() ? listFiles(entryPath) : [entryPath];
+                    });
+            }));
+        })
+        .then((results) => {
+            return results.reduce((all, result) => {
+                return all.concat(result);
+            }, []);
+        });
+}
+
+module.exports = LocalBackend;
@@ -0,0 +1,59 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+const q = require('q');
+
+/**
+ * Calls a promise returning function for each item, with at most limit calls outstanding
+ *
+ * @param {Array}    items   - Items to map.
+ * @param {Number}   [limit] - Maximum number of calls in flight. Default is no limit.
+ * @param {Function} fn      - Function called with (item, index). May return a promise.
+ *
+ * @returns {Promise} A promise which is resolved with the results, in the order of items, or
+ *                    rejected with the first error.
+ */
+module.exports = function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    const workerCount = Math.min(Math.max(1, limit || items.length), items.length);
+    const workers = [];
+    let next = 0;
+
+    const work = function work() {
+        if (next >= items.length) {
+            return q();
+        }
+
+        const index = next;
+        next += 1;
+        return q(fn(items[index], index))
+            .then((result) => {
+                results[index] = result;
+                return work();
+            });
+    };
+
+    for (let i = 0; i < workerCount; i++) {
+        workers.push(work());
+    }
+
+    return q.all(workers)
+        .then(() => {
+            return results;
+        });
+};
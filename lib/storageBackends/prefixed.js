@@ -0,0 +1,81 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+/**
+ * Constructor
+ *
+ * @class
+ * @classdesc
+ * Wraps another backend so that every object name is under a prefix. This lets several
+ * clusters share one bucket (or collection or directory) without seeing each other's objects.
+ * Names passed in and handed back are relative to the prefix.
+ *
+ * @param {Object} options         - Options.
+ * @param {Object} options.backend - The backend to wrap. See {@link module:storageBackends}.
+ * @param {String} options.prefix  - Prefix for object names, for example 'myGroup/'.
+ */
+function PrefixedBackend(options) {
+    this.backend = options.backend;
+    this.prefix = options.prefix;
+}
+
+PrefixedBackend.prototype.get = function get(name, options) {
+    return this.backend.get(this.prefix + name, options);
+};
+
+PrefixedBackend.prototype.getStream = function getStream(name, options) {
+    return this.backend.getStream(this.prefix + name, options);
+};
+
+PrefixedBackend.prototype.put = function put(name, data, options) {
+    return this.backend.put(this.prefix + name, data, options);
+};
+
+PrefixedBackend.prototype.putFile = function putFile(name, filePath, options) {
+    return this.backend.putFile(this.prefix + name, filePath, options);
+};
+
+PrefixedBackend.prototype.delete = function deleteObject(name) {
+    return this.backend.delete(this.prefix + name);
+};
+
+PrefixedBackend.prototype.list = function list(prefix) {
+    return this.backend.list(this.prefix + (prefix || ''))
+        .then((objects) => {
+            return objects.map((object) => {
+                return Object.assign({}, object, { name: stripPrefix.call(this, object.name) });
+            });
+        });
+};
+
+PrefixedBackend.prototype.getAll = function getAll(prefix) {
+    return this.backend.getAll(this.prefix + (prefix || ''))
+        .then((objects) => {
+            const stripped = {};
+            Object.keys(objects).forEach((name) => {
+                stripped[stripPrefix.call(this, name)] = objects[name];
+            });
+            return stripped;
+        });
+};
+
+function stripPrefix(name) {
+    return name.substr(this.prefix.length);
+}
+
+module.exports = PrefixedBackend;
@@ -0,0 +1,196 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+const path = require('path');
+const zlib = require('zlib');
+const yaml = require('js-yaml');
+
+const CONTENT_TYPE_BINARY = 'application/octet-stream';
+const CONTENT_TYPE_JSON = 'application/json';
+const CONTENT_TYPE_TEXT = 'text/plain';
+const CONTENT_TYPE_YAML = 'application/x-yaml';
+
+const YAML_CONTENT_TYPES = [CONTENT_TYPE_YAML, 'application/yaml', 'text/yaml', 'text/x-yaml'];
+const GZIP_CONTENT_TYPES = ['application/gzip', 'application/x-gzip'];
+
+// What a .gz object holds when its content type only says that it is compressed
+const CONTENT_TYPES_BY_EXTENSION = {
+    '.json': CONTENT_TYPE_JSON,
+    '.yaml': CONTENT_TYPE_YAML,
+    '.yml': CONTENT_TYPE_YAML,
+    '.txt': CONTENT_TYPE_TEXT
+};
+
+const FORMAT_BUFFER = 'buffer';
+const FORMAT_STRING = 'string';
+const FORMAT_JSON = 'json';
+const FORMAT_YAML = 'yaml';
+
+/**
+ * How cluster database values are turned into bytes and back, shared by the
+ * storage backends so that they all round trip data the same way.
+ *
+ * @module
+ */
+module.exports = {
+    CONTENT_TYPE_BINARY,
+    CONTENT_TYPE_JSON,
+    CONTENT_TYPE_TEXT,
+    CONTENT_TYPE_YAML,
+
+    /**
+     * Formats that decode can be asked for with options.as
+     */
+    FORMATS: [FORMAT_BUFFER, FORMAT_STRING, FORMAT_JSON, FORMAT_YAML],
+
+    /**
+     * Encodes a value for storage
+     *
+     * @param {Object | String | Buffer} data - Value to encode. Objects are stored as JSON.
+     *
+     * @returns {Object} The encoded value
+     *
+     *     {
+     *         data: <String | Buffer>,
+     *         contentType: <String>
+     *     }
+     */
+    encode(data) {
+        if (Buffer.isBuffer(data)) {
+            return { data, contentType: CONTENT_TYPE_BINARY };
+        }
+        if (typeof data === 'string') {
+            return { data, contentType: CONTENT_TYPE_TEXT };
+        }
+        return { data: JSON.stringify(data), contentType: CONTENT_TYPE_JSON };
+    },
+
+    /**
+     * Decodes a stored value
+     *
+     * Gzipped data is decompressed first if it has Content-Encoding gzip, a gzip content type
+     * or a name ending in .gz. For a gzip content type, what is inside is told from the rest
+     * of the name (for example, .json.gz), and is binary if it cannot be told.
+     *
+     * @param {String | Buffer} data                      - Stored data.
+     * @param {String}          [contentType]             - Content type the data was stored with.
+     * @param {Object}          [options]                 - Optional parameters.
+     * @param {String}          [options.name]            - Name of the object.
+     * @param {String}          [options.contentEncoding] - Content encoding the data was stored with.
+     * @param {String}          [options.as]              - Decode as this, whatever the content type.
+     *                                                      One of FORMATS.
+     *
+     * @returns {Object | String | Buffer} Objects for JSON and YAML, Buffers for binary data and
+     *                                     strings for anything else.
+     */
+    decode(data, contentType, options) {
+        const opts = options || {};
+        let type = contentType || '';
+        let decoded = data;
+
+        if (isGzipped(data, type, opts)) {
+            decoded = zlib.gunzipSync(data);
+            if (GZIP_CONTENT_TYPES.indexOf(type) !== -1) {
+                type = getContentTypeFromName(opts.name);
+            }
+        }
+
+        switch (opts.as || getFormat(type)) {
+        case FORMAT_BUFFER:
+            return Buffer.isBuffer(decoded) ? decoded : Buffer.from(decoded);
+        case FORMAT_JSON:
+            return JSON.parse(decoded);
+        case FORMAT_YAML:
+            return yaml.safeLoad(decoded.toString());
+        case FORMAT_STRING:
+            return decoded.toString();
+        default:
+            throw new Error(`Unknown data format ${opts.as}`);
+        }
+    },
+
+    /**
+     * Creates the error backends reject with when an object does not exist
+     *
+     * @param {String} name - Name of the object.
+     *
+     * @returns {Error} An error with code 404.
+     */
+    notFoundError(name) {
+        const err = new Error(`No such object: ${name}`);
+        err.code = 404;
+        return err;
+    },
+
+    /**
+     * Creates the error backends reject with when a conditional write fails
+     *
+     * @param {String} name - Name of the object.
+     *
+     * @returns {Error} An error with code 412.
+     */
+    preconditionFailedError(name) {
+        const err = new Error(`Precondition failed writing ${name}`);
+        err.code = 412;
+        return err;
+    },
+
+    /**
+     * Creates the error backends reject with when an object does not match its checksums
+     *
+     * @param {String} name - Name of the object.
+     *
+     * @returns {Error} An error with code 'CHECKSUM_MISMATCH'.
+     */
+    checksumMismatchError(name) {
+        const err = new Error(`Checksum mismatch for ${name}`);
+        err.code = 'CHECKSUM_MISMATCH';
+        return err;
+    }
+};
+
+function getFormat(contentType) {
+    if (contentType === CONTENT_TYPE_BINARY) {
+        return FORMAT_BUFFER;
+    }
+    if (contentType === CONTENT_TYPE_JSON) {
+        return FORMAT_JSON;
+    }
+    if (YAML_CONTENT_TYPES.indexOf(contentType) !== -1) {
+        return FORMAT_YAML;
+    }
+    return FORMAT_STRING;
+}
+
+/**
+ * Tells whether data is gzipped. The data is checked for the gzip magic number too,
+ * since Cloud Storage decompresses objects with Content-Encoding gzip when reading them.
+ */
+function isGzipped(data, contentType, options) {
+    if (!Buffer.isBuffer(data) || data.length < 2 || data[0] !== 0x1f || data[1] !== 0x8b) {
+        return false;
+    }
+    return options.contentEncoding === 'gzip'
+        || GZIP_CONTENT_TYPES.indexOf(contentType) !== -1
+        || path.extname(options.name || '') === '.gz';
+}
+
+function getContentTypeFromName(name) {
+    const extension = path.extname(path.basename(name || '', '.gz'));
+    return CONTENT_TYPES_BY_EXTENSION[extension] || CONTENT_TYPE_BINARY;
+}
@@ -0,0 +1,122 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+const MS_PER_WEEK = 7 * MS_PER_DAY;
+
+// 1970-01-01 was a Thursday. Shift so that weeks start on Monday.
+const WEEK_OFFSET_MS = 3 * MS_PER_DAY;
+
+/**
+ * Retention of stored UCS backups.
+ *
+ * A policy keeps a backup if any of its rules keeps it:
+ *
+ *     {
+ *         keepLast: keep this many of the newest backups,
+ *         hourly: keep the newest backup from each of this many most recent hours with a backup,
+ *         daily: the same for days (UTC),
+ *         weekly: the same for weeks (UTC, starting Monday),
+ *         maxAgeSeconds: keep every backup younger than this
+ *     }
+ *
+ * Backups are of the form
+ *
+ *     {
+ *         name: object name,
+ *         updated: when the backup was stored
+ *     }
+ *
+ * @module
+ */
+module.exports = {
+    /**
+     * Picks the backups a policy does not keep
+     *
+     * @param {Object[]} backups - Backups to consider.
+     * @param {Object}   policy  - Retention policy.
+     * @param {Date}     [now]   - The current time. Default new Date().
+     *
+     * @returns {Object[]} The backups to delete, oldest first.
+     */
+    selectExpired(backups, policy, now) {
+        const nowMs = (now || new Date()).getTime();
+        const newestFirst = backups.slice().sort((a, b) => {
+            return getTime(b) - getTime(a);
+        });
+        const kept = new Set();
+
+        newestFirst.slice(0, policy.keepLast || 0).forEach((backup) => {
+            kept.add(backup);
+        });
+
+        keepNewestPerPeriod(newestFirst, policy.hourly, MS_PER_HOUR, 0).forEach((backup) => {
+            kept.add(backup);
+        });
+        keepNewestPerPeriod(newestFirst, policy.daily, MS_PER_DAY, 0).forEach((backup) => {
+            kept.add(backup);
+        });
+        keepNewestPerPeriod(newestFirst, policy.weekly, MS_PER_WEEK, WEEK_OFFSET_MS).forEach((backup) => {
+            kept.add(backup);
+        });
+
+        if (policy.maxAgeSeconds) {
+            newestFirst.forEach((backup) => {
+                if (nowMs - getTime(backup) < policy.maxAgeSeconds * 1000) {
+                    kept.add(backup);
+                }
+            });
+        }
+
+        return newestFirst
+            .filter((backup) => {
+                return !kept.has(backup);
+            })
+            .reverse();
+    }
+};
+
+/**
+ * Gets the newest backup in each of the most recent periods that have a backup
+ *
+ * @param {Object[]} newestFirst - Backups, newest first.
+ * @param {Number}   count       - Number of periods.
+ * @param {Number}   periodMs    - Length of a period.
+ * @param {Number}   offsetMs    - Where periods start, relative to the epoch.
+ *
+ * @returns {Object[]} The backups.
+ */
+function keepNewestPerPeriod(newestFirst, count, periodMs, offsetMs) {
+    const periods = new Set();
+    const backups = [];
+
+    newestFirst.forEach((backup) => {
+        const period = Math.floor((getTime(backup) + offsetMs) / periodMs);
+        if (periods.size < (count || 0) && !periods.has(period)) {
+            periods.add(period);
+            backups.push(backup);
+        }
+    });
+
+    return backups;
+}
+
+function getTime(backup) {
+    return new Date(backup.updated).getTime();
+}
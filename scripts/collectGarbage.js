@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const parser = require('commander');
+const fs = require('fs');
+
+const f5CloudLibs = require('@f5devcentral/f5-cloud-libs');
+const GceCloudProvider = require('../lib/gceCloudProvider');
+
+const Logger = f5CloudLibs.logger;
+const util = f5CloudLibs.util;
+
+const externalTag = {};
+
+// Parse command line arguments
+
+parser
+    .version('1.0.0')
+
+    .option('--log-level [type]', 'Specify the log level', 'info')
+    .option('--log-file [type]', 'Specify the log file location', '/var/log/cloud/google/collectGarbage.log')
+    .option('--config-file [type]', 'Specify the deployment config file', '/config/cloud/.deployment')
+    .option('--instance-group [name]', 'Instance group whose cluster to clean up')
+    .option('--regional-instance-group', 'The instance group is a regional instance group')
+    .option('--storage-bucket [name]', 'Storage bucket for the cluster database')
+    .option('--service-account [name]', 'Service account to use', 'default')
+    .option('--provider-options [json]', 'Other provider options, as JSON')
+    .option('--dry-run', 'Only report what would be deleted')
+    .option('--force', 'Collect even if the instance group has no other instances')
+    .option(
+        '--external-tag <tag>',
+        'Tag of instances in the cluster which are not in the instance group. ' +
+        'Format \'key:<tag_key>,value:<tag_value>\'',
+        util.map,
+        externalTag
+    )
+    .parse(process.argv);
+
+const loggerOptions = { logLevel: parser.logLevel, fileName: parser.logFile, console: true };
+const logger = Logger.getLogger(loggerOptions);
+
+let providerOptions = {};
+
+// Read in configuration values. Command line options take precedence.
+if (fs.existsSync(parser.configFile)) {
+    const cFile = JSON.parse(fs.readFileSync(parser.configFile, 'utf8'));
+    providerOptions.impersonateServiceAccount = cFile.impersonateServiceAccount;
+    providerOptions.projectId = cFile.projectId;
+    providerOptions.computeProjectId = cFile.computeProjectId;
+    providerOptions.storageProjectId = cFile.storageProjectId;
+    providerOptions.pubSubProjectId = cFile.pubSubProjectId;
+    providerOptions.pageSize = cFile.pageSize;
+}
+
+if (parser.providerOptions) {
+    providerOptions = Object.assign(providerOptions, JSON.parse(parser.providerOptions));
+}
+
+providerOptions = Object.assign(providerOptions, {
+    instanceGroup: parser.instanceGroup || providerOptions.instanceGroup,
+    regionalInstanceGroup: parser.regionalInstanceGroup || providerOptions.regionalInstanceGroup,
+    storageBucket: parser.storageBucket || providerOptions.storageBucket,
+    serviceAccount: parser.serviceAccount
+});
+
+const provider = new GceCloudProvider({ logger });
+
+provider.init(providerOptions, { autoscale: true })
+    .then(() => {
+        return provider.getInstanceId();
+    })
+    .then(() => {
+        return provider.collectGarbage({
+            dryRun: !!parser.dryRun,
+            force: !!parser.force,
+            externalTag: Object.keys(externalTag).length > 0 ? externalTag : undefined
+        });
+    })
+    .then((orphans) => {
+        const verb = parser.dryRun ? 'Would delete' : 'Deleted';
+        logger.info(`${verb} instance records: ${orphans.instances.join(', ') || 'none'}`);
+        logger.info(`${verb} public keys: ${orphans.publicKeys.join(', ') || 'none'}`);
+        logger.info(`${verb} UCS backups: ${orphans.backups.join(', ') || 'none'}`);
+        logger.info(`${verb} subscriptions: ${orphans.subscriptions.join(', ') || 'none'}`);
+        orphans.failed.forEach((failure) => {
+            logger.error(`Could not delete ${failure.type} ${failure.name}: ${failure.error}`);
+        });
+        if (orphans.failed.length > 0) {
+            process.exitCode = 1;
+        }
+    })
+    .catch((err) => {
+        logger.error(`Garbage collection failed: ${err && err.message ? err.message : err}`);
+        process.exitCode = 1;
+    });
@@ -9,11 +9,12 @@ const ipaddr = require('ipaddr.js');
 
 const Compute = require('@google-cloud/compute');
 const f5CloudLibs = require('@f5devcentral/f5-cloud-libs');
+const TokenManager = require('../src/gcClients/tokenManager');
+const metadataService = require('../src/gcClients/metadata');
+const pagination = require('../src/gcClients/pagination');
 
 const util = f5CloudLibs.util;
-const httpUtil = f5CloudLibs.httpUtil;
 const Logger = f5CloudLibs.logger;
-const compute = new Compute();
 
 // Parse command line arguments
 
@@ -30,15 +31,19 @@ const logger = Logger.getLogger(loggerOptions);
 const BigIp = f5CloudLibs.bigIp;
 const bigip = new BigIp({ logger });
 
+metadataService.setLogger(logger);
+
 // Initialize vars
 const BASE_URL = 'https://www.googleapis.com/compute/v1';
 let deploymentTag;
+let impersonateServiceAccount;
+let computeProjectId;
+let networkProjectId;
+let pageSize;
 let region;
 let computeRegion;
 let zone;
-let computeZone;
 let initialized;
-let accessToken;
 let projectId;
 let instanceName;
 let globalSettings;
@@ -52,6 +57,25 @@ if (fs.existsSync(parser.configFile)) {
         key: cFile.tagKey,
         value: cFile.tagValue
     };
+    // email, or array of emails ending with the account to impersonate (a delegation chain)
+    impersonateServiceAccount = cFile.impersonateServiceAccount;
+    // Shared VPC: instances live in the service project, alias IP subnets,
+    // forwarding rules and target instances in the host project
+    computeProjectId = cFile.computeProjectId || cFile.projectId;
+    networkProjectId = cFile.networkProjectId || computeProjectId;
+    // maximum results per page for list requests
+    pageSize = cFile.pageSize;
+}
+
+const compute = new Compute({ projectId: computeProjectId });
+const networkCompute = networkProjectId !== computeProjectId
+    ? new Compute({ projectId: networkProjectId })
+    : compute;
+
+const tokenManager = new TokenManager({ serviceAccount: 'default', impersonateServiceAccount, logger });
+if (impersonateServiceAccount) {
+    tokenManager.authorizeClient(compute);
+    tokenManager.authorizeClient(networkCompute);
 }
 
 // Perform Failover
@@ -69,8 +93,8 @@ Promise.all([
     .then(() => {
         logger.info('Performing failover');
         return Promise.all([
-            getLocalMetadata('instance/name'),
-            getLocalMetadata('instance/zone'),
+            metadataService.getMetadata('instance/name'),
+            metadataService.getMetadata('instance/zone'),
             bigip.list('/tm/sys/global-settings'),
             bigip.list('/tm/cm/traffic-group/stats'),
             bigip.list('/tm/ltm/virtual-address')
@@ -84,12 +108,10 @@ Promise.all([
         virtualAddresses = data[4];
 
         // zone format: 'projects/734288666861/zones/us-west1-a'
-        const parts = instanceZone.split('/');
-        zone = parts[parts.length - 1];
-        computeZone = compute.zone(zone);
+        zone = getLastPathSegment(instanceZone);
         // unable to get region from metadata, infer from from zone
-        region = zone.substring(0, zone.lastIndexOf('-'));
-        computeRegion = compute.region(region);
+        region = getRegionFromZone(zone);
+        computeRegion = networkCompute.region(region);
 
         logger.silly('Getting GCP resources');
         return Promise.all([
@@ -116,45 +138,18 @@ Promise.all([
         logger.error(`Failover Failed: ${err.message}`);
     });
 
-/**
- * Get local metadata for a specific entry
- *
- * @param {String} entry - The name of the metadata entry. For example 'instance/zone'
- *
- * @returns {Promise} A promise which is resolved with the metadata requested
- *
- */
-function getLocalMetadata(entry) {
-    const options = {
-        headers: {
-            'Metadata-Flavor': 'Google'
-        }
-    };
-
-    return util.getDataFromUrl(
-        `http://metadata.google.internal/computeMetadata/v1/${entry}`,
-        options
-    )
-        .then((data) => {
-            return data;
-        })
-        .catch((err) => {
-            const message = `Error getting local metadata ${err.message}`;
-            return q.reject(new Error(message));
-        });
-}
-
 /**
 * Get instance metadata from GCP
 *
-* @param {Object} vmName - Instance Name
+* @param {Object} vmName   - Instance Name
+* @param {String} vmZone   - Zone the instance is in
 *
 * @returns {Promise} A promise which will be resolved with the metadata for the instance
 *
 */
-function getVmMetadata(vmName) {
+function getVmMetadata(vmName, vmZone) {
     const deferred = q.defer();
-    const vm = computeZone.vm(vmName);
+    const vm = compute.zone(vmZone).vm(vmName);
 
     vm.getMetadata()
         .then((data) => {
@@ -181,12 +176,13 @@ function init() {
     const deferred = q.defer();
 
     Promise.all([
-        getLocalMetadata('project/project-id'),
-        getLocalMetadata('instance/service-accounts/default/token')
+        metadataService.getMetadata('project/project-id'),
+        tokenManager.getToken()
     ])
         .then((data) => {
             projectId = data[0];
-            accessToken = data[1].access_token;
+            computeProjectId = computeProjectId || projectId;
+            networkProjectId = networkProjectId || computeProjectId;
             initialized = true;
             deferred.resolve();
         })
@@ -199,20 +195,43 @@ function init() {
 /**
 * Send HTTP Request to GCP API (Compute)
 *
+* @param {String} method              - HTTP method
+* @param {String} path                - Path relative to the project
+* @param {Object} [body]              - Request body
+* @param {Object} [options]           - Options for function
+* @param {String} [options.projectId] - Project to send the request to. Default is
+*                                       the compute (instance) project.
+*
 * @returns {Promise} A promise which will be resolved upon complete response
 *
 */
-function sendRequest(method, path, body) {
-    if (!accessToken) {
-        return q.reject(new Error('httpUtil.sendRequest: no auth token. call init first'));
+function sendRequest(method, path, body, options) {
+    const requestProjectId = options && options.projectId ? options.projectId : computeProjectId;
+    if (!requestProjectId) {
+        return q.reject(new Error('sendRequest: no project id. call init first'));
     }
-    const headers = {
-        Authorization: `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
+    const url = `${BASE_URL}/projects/${requestProjectId}/${path}`;
+
+    // the token manager refreshes the token before it expires and retries once on a 401
+    return tokenManager.request(method, url, body);
+}
+
+/**
+* Send a GET request for a list resource, following nextPageToken through all pages
+*
+* @param {String} path                - Path relative to the project
+* @param {Object} [options]           - Options for function
+* @param {String} [options.projectId] - Project to send the request to. See sendRequest.
+*
+* @returns {Promise} A promise which will be resolved with an array of the responses for each page
+*
+*/
+function getAllPages(path, options) {
+    const sendGet = function (pagePath) {
+        return sendRequest('GET', pagePath, undefined, options);
     };
-    const url = `${BASE_URL}/projects/${projectId}/${path}`;
 
-    return httpUtil.request(method, url, { headers, body });
+    return pagination.getAllPages(sendGet, path, { pageSize, pageSizeParam: 'maxResults' });
 }
 
 /**
@@ -221,6 +240,7 @@ function sendRequest(method, path, body) {
 * @param {Object} vmName                   - Instance Name
 *
 * @param {Object} options                  - Options for function
+* @param {String} [options.zone]           - Zone the instance is in. Default is our zone.
 * @param {Array} options.failOnStatusCodes - Optionally provide a list of status codes to fail
 *                                              on, for example 'STOPPING'
 *
@@ -230,8 +250,9 @@ function sendRequest(method, path, body) {
 function getVmInfo(vmName, options) {
     const deferred = q.defer();
     const failOnStatusCodes = options && options.failOnStatusCodes ? options.failOnStatusCodes : [];
+    const vmZone = options && options.zone ? options.zone : zone;
 
-    getVmMetadata(vmName)
+    getVmMetadata(vmName, vmZone)
         .then((data) => {
             if (failOnStatusCodes.length > 0) {
                 const vmStatus = data.status;
@@ -257,21 +278,23 @@ function getVmInfo(vmName, options) {
 *
 * @param {Object} nicArr - Updated NIC properties
 *
+* @param {String} vmZone - Zone the instance is in
+*
 * @returns {Promise} A promise which will be resolved with the operation response
 *
 */
-function updateNic(vmId, nicId, nicArr) {
+function updateNic(vmId, nicId, nicArr, vmZone) {
     const deferred = q.defer();
 
-    logger.info(`Updating NIC: ${nicId} for VM: ${vmId}`);
+    logger.info(`Updating NIC: ${nicId} for VM: ${vmId} in zone: ${vmZone}`);
     sendRequest(
         'PATCH',
-        `zones/${zone}/instances/${vmId}/updateNetworkInterface?networkInterface=${nicId}`,
+        `zones/${vmZone}/instances/${vmId}/updateNetworkInterface?networkInterface=${nicId}`,
         nicArr
     )
         .then((data) => {
             // updateNetworkInterface is async, returns GCP zone operation
-            const operation = computeZone.operation(data.name);
+            const operation = compute.zone(vmZone).operation(data.name);
             return operation.promise();
         })
         .then((data) => {
@@ -350,7 +373,7 @@ function getVmsByTag(tag) {
 
             computeVms[0].forEach((vm) => {
                 // retry if vm is stopping as metadata fingerprint returned may change
-                argsMap.push([vm.name, { failOnStatusCodes: ['STOPPING'] }]);
+                argsMap.push([vm.name, { zone: vm.zone.id, failOnStatusCodes: ['STOPPING'] }]);
             });
 
             const promises = [];
@@ -372,19 +395,26 @@ function getVmsByTag(tag) {
 /**
 * Get all forwarding rules (non-global)
 *
-* @returns {Promise} A promise which will be resolved with an array of forwarding rules
+* @returns {Promise} A promise which will be resolved with an object whose items
+*                    property is an array of forwarding rules
 *
 */
 function getFwdRules() {
     const deferred = q.defer();
 
     // ideally could just call compute.getRules, but that is global only
-    sendRequest(
-        'GET',
-        `regions/${region}/forwardingRules`
+    getAllPages(
+        `regions/${region}/forwardingRules`,
+        { projectId: networkProjectId }
     )
-        .then((data) => {
-            deferred.resolve(data);
+        .then((pages) => {
+            const items = [];
+            pages.forEach((page) => {
+                (page.items || []).forEach((rule) => {
+                    items.push(rule);
+                });
+            });
+            deferred.resolve({ items });
         })
         .catch((err) => {
             deferred.reject(err);
@@ -394,21 +424,35 @@ function getFwdRules() {
 }
 
 /**
-* Get all target instances
+* Get all target instances in all zones of our region
 *
-* @returns {Promise} A promise which will be resolved with an array of target instances
+* @returns {Promise} A promise which will be resolved with an object whose items
+*                    property is an array of target instances
 *
 */
 function getTargetInstances() {
     const deferred = q.defer();
 
     // ideally could just call compute SDK, but not supported yet
-    sendRequest(
-        'GET',
-        `zones/${zone}/targetInstances`
+    getAllPages(
+        'aggregated/targetInstances',
+        { projectId: networkProjectId }
     )
-        .then((data) => {
-            deferred.resolve(data);
+        .then((pages) => {
+            const items = [];
+            pages.forEach((page) => {
+                // aggregated results are keyed by scope, for example 'zones/us-west1-a'
+                const scopedItems = page && page.items ? page.items : {};
+                Object.keys(scopedItems).forEach((scope) => {
+                    const scopeZone = getLastPathSegment(scope);
+                    if (getRegionFromZone(scopeZone) === region && scopedItems[scope].targetInstances) {
+                        scopedItems[scope].targetInstances.forEach((targetInstance) => {
+                            items.push(targetInstance);
+                        });
+                    }
+                });
+            });
+            deferred.resolve({ items });
         })
         .catch((err) => {
             deferred.reject(err);
@@ -444,6 +488,34 @@ function retrier(fnToTry, arr) {
     });
 }
 
+/**
+* Get the last segment of a path or URL
+*
+* Used for zones, which come as 'projects/734288666861/zones/us-west1-a' from metadata
+* and as 'https://www.googleapis.com/compute/v1/projects/foo/zones/us-west1-a' in VM metadata
+*
+* @param {String} resource - Path or URL
+*
+* @returns {String} The last segment
+*
+*/
+function getLastPathSegment(resource) {
+    const parts = resource.split('/');
+    return parts[parts.length - 1];
+}
+
+/**
+* Get the region a zone is in, for example 'us-west1-a' is in 'us-west1'
+*
+* @param {String} zoneName - Zone name
+*
+* @returns {String} The region
+*
+*/
+function getRegionFromZone(zoneName) {
+    return zoneName.substring(0, zoneName.lastIndexOf('-'));
+}
+
 /**
 * Match IPs against a filter set of IPs
 *
@@ -599,7 +671,7 @@ function updateNics(vms) {
                     });
 
                     theirNic.aliasIpRanges = theirAliasIps;
-                    disassociateArr.push([vm.name, nic.name, theirNic]);
+                    disassociateArr.push([vm.name, nic.name, theirNic, getLastPathSegment(vm.zone)]);
                 }
             }
         });
@@ -621,7 +693,7 @@ function updateNics(vms) {
                 }
             });
             if (match) {
-                associateArr.push([vm.name, myNic.name, myNic]);
+                associateArr.push([vm.name, myNic.name, myNic, getLastPathSegment(vm.zone)]);
             }
         });
     });
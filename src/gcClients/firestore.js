@@ -0,0 +1,197 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+const assert = require('assert');
+const Logger = require('@f5devcentral/f5-cloud-libs').logger;
+const TokenManager = require('./tokenManager');
+const metadataService = require('./metadata');
+const pagination = require('./pagination');
+
+const BASE_URL = 'https://firestore.googleapis.com/v1';
+const FIRESTORE_SCOPE = 'https://www.googleapis.com/auth/datastore';
+
+/**
+ * Constructor
+ *
+ * @class
+ * @classdesc
+ * Minimal Cloud Firestore client for the documents in a single collection.
+ *
+ * @param {Object} [options]                - Optional parameters.
+ * @param {String} [options.serviceAccount] - Name of the VM service account to use. Default 'default'.
+ * @param {Object} [options.credentials]    - Decoded Google Cloud service account credentials.
+ * @param {String} [options.projectId]      - Project the database is in. Defaults to the project in
+ *                                            the credentials or, without credentials, the metadata service.
+ * @param {String} [options.database]       - Database ID. Default '(default)'.
+ * @param {String | String[]} [options.impersonateServiceAccount] - Service account to impersonate.
+ *                                            See {@link TokenManager}.
+ * @param {Number} [options.pageSize]       - Maximum results per page for list requests.
+ * @param {Object} [options.loggerOptions]  - Options for the logger.
+ */
+function Firestore(options) {
+    const opts = options || {};
+    const loggerOptions = opts.loggerOptions;
+
+    this.credentials = opts.credentials;
+    this.projectId = opts.projectId;
+    this.database = opts.database || '(default)';
+    this.pageSize = opts.pageSize;
+
+    if (loggerOptions) {
+        loggerOptions.module = module;
+        this.logger = Logger.getLogger(loggerOptions);
+    }
+
+    this.tokenManager = new TokenManager({
+        serviceAccount: opts.serviceAccount,
+        credentials: opts.credentials,
+        impersonateServiceAccount: opts.impersonateServiceAccount,
+        scopes: [FIRESTORE_SCOPE],
+        logger: this.logger
+    });
+}
+
+/**
+ * Gets a document
+ *
+ * @param {String} collection - Collection ID.
+ * @param {String} documentId - Document ID.
+ *
+ * @returns {Promise} A promise which is resolved with the document or rejected
+ *                    if an error occurs (including if it does not exist).
+ */
+Firestore.prototype.getDocument = function getDocument(collection, documentId) {
+    return initialize.call(this)
+        .then(() => {
+            return sendRequest.call(this, 'GET', getDocumentPath(collection, documentId));
+        });
+};
+
+/**
+ * Lists all documents in a collection
+ *
+ * All pages of results are retrieved.
+ *
+ * @param {String} collection - Collection ID.
+ *
+ * @returns {Promise} A promise which is resolved with an array of documents.
+ */
+Firestore.prototype.listDocuments = function listDocuments(collection) {
+    return initialize.call(this)
+        .then(() => {
+            return listAll.call(this, encodeURIComponent(collection));
+        });
+};
+
+/**
+ * Writes a document
+ *
+ * @param {String}  collection               - Collection ID.
+ * @param {String}  documentId               - Document ID.
+ * @param {Object}  fields                   - Document fields, in Firestore value format.
+ * @param {Object}  [precondition]           - Only write if this holds.
+ * @param {Boolean} [precondition.exists]    - Whether the document must (or must not) exist.
+ * @param {String}  [precondition.updateTime] - Update time the document must have.
+ *
+ * @returns {Promise} A promise which is resolved with the written document.
+ */
+Firestore.prototype.writeDocument = function writeDocument(collection, documentId, fields, precondition) {
+    assert.equal(typeof fields, 'object', 'fields are required for Firestore.writeDocument');
+
+    return initialize.call(this)
+        .then(() => {
+            return sendRequest.call(
+                this,
+                'PATCH',
+                getDocumentPath(collection, documentId) + getPreconditionQuery(precondition),
+                { fields }
+            );
+        });
+};
+
+/**
+ * Deletes a document
+ *
+ * @param {String} collection - Collection ID.
+ * @param {String} documentId - Document ID.
+ *
+ * @returns {Promise} A promise which is resolved when the document is deleted.
+ */
+Firestore.prototype.deleteDocument = function deleteDocument(collection, documentId) {
+    return initialize.call(this)
+        .then(() => {
+            return sendRequest.call(
+                this,
+                'DELETE',
+                getDocumentPath(collection, documentId) + getPreconditionQuery({ exists: true })
+            );
+        });
+};
+
+function initialize() {
+    return metadataService.getProjectId(this.projectId, this.credentials)
+        .then((projectId) => {
+            this.projectId = projectId;
+        });
+}
+
+function sendRequest(method, path, body) {
+    const url = `${BASE_URL}/projects/${this.projectId}/databases/${this.database}/documents/${path}`;
+    return this.tokenManager.request(method, url, body);
+}
+
+/**
+ * Lists the documents in a collection from all pages
+ *
+ * @param {String} path - Path of the collection.
+ *
+ * @returns {Promise} A promise which is resolved with the documents from all pages.
+ */
+function listAll(path) {
+    return pagination.getAllPages(
+        (pagePath) => {
+            return sendRequest.call(this, 'GET', pagePath);
+        },
+        path,
+        { pageSize: this.pageSize }
+    )
+        .then((pages) => {
+            return pages.reduce((documents, page) => {
+                return documents.concat(page.documents || []);
+            }, []);
+        });
+}
+
+function getDocumentPath(collection, documentId) {
+    return `${encodeURIComponent(collection)}/${encodeURIComponent(documentId)}`;
+}
+
+function getPreconditionQuery(precondition) {
+    if (!precondition) {
+        return '';
+    }
+    if (typeof precondition.exists === 'boolean') {
+        return `?currentDocument.exists=${precondition.exists}`;
+    }
+    if (precondition.updateTime) {
+        return `?currentDocument.updateTime=${encodeURIComponent(precondition.updateTime)}`;
+    }
+    return '';
+}
+
+module.exports = Firestore;
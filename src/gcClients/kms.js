@@ -0,0 +1,102 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+const assert = require('assert');
+const Logger = require('@f5devcentral/f5-cloud-libs').logger;
+const TokenManager = require('./tokenManager');
+
+const BASE_URL = 'https://cloudkms.googleapis.com/v1';
+const KMS_SCOPE = 'https://www.googleapis.com/auth/cloudkms';
+
+/**
+ * Constructor
+ *
+ * @class
+ * @classdesc
+ * Minimal Cloud KMS client for encrypting and decrypting small payloads
+ * with a symmetric crypto key.
+ *
+ * @param {Object} [options]                - Optional parameters.
+ * @param {String} [options.serviceAccount] - Name of the VM service account to use. Default 'default'.
+ * @param {Object} [options.credentials]    - Decoded Google Cloud service account credentials.
+ * @param {String | String[]} [options.impersonateServiceAccount] - Service account to impersonate.
+ *                                            See {@link TokenManager}.
+ * @param {Object} [options.loggerOptions]  - Options for the logger.
+ */
+function Kms(options) {
+    const opts = options || {};
+    const loggerOptions = opts.loggerOptions;
+
+    if (loggerOptions) {
+        loggerOptions.module = module;
+        this.logger = Logger.getLogger(loggerOptions);
+    }
+
+    this.tokenManager = new TokenManager({
+        serviceAccount: opts.serviceAccount,
+        credentials: opts.credentials,
+        impersonateServiceAccount: opts.impersonateServiceAccount,
+        scopes: [KMS_SCOPE],
+        logger: this.logger
+    });
+}
+
+/**
+ * Encrypts data
+ *
+ * @param {String}          keyName - Full resource name of the crypto key. For example
+ *                                    'projects/p/locations/global/keyRings/r/cryptoKeys/k'
+ * @param {String | Buffer} data    - Data to encrypt.
+ *
+ * @returns {Promise} A promise which is resolved with the base64 encoded ciphertext
+ *                    or rejected if an error occurs.
+ */
+Kms.prototype.encrypt = function encrypt(keyName, data) {
+    assert.equal(typeof keyName, 'string', 'keyName is required for Kms.encrypt');
+
+    const body = {
+        plaintext: Buffer.from(data).toString('base64')
+    };
+    return this.tokenManager.request('POST', `${BASE_URL}/${keyName}:encrypt`, body)
+        .then((response) => {
+            return response.ciphertext;
+        });
+};
+
+/**
+ * Decrypts data
+ *
+ * @param {String} keyName    - Full resource name of the crypto key that encrypted the data.
+ * @param {String} ciphertext - Base64 encoded ciphertext as returned by encrypt.
+ *
+ * @returns {Promise} A promise which is resolved with a Buffer containing the plaintext
+ *                    or rejected if an error occurs.
+ */
+Kms.prototype.decrypt = function decrypt(keyName, ciphertext) {
+    assert.equal(typeof keyName, 'string', 'keyName is required for Kms.decrypt');
+
+    const body = {
+        ciphertext
+    };
+    return this.tokenManager.request('POST', `${BASE_URL}/${keyName}:decrypt`, body)
+        .then((response) => {
+            return Buffer.from(response.plaintext || '', 'base64');
+        });
+};
+
+module.exports = Kms;
@@ -0,0 +1,160 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+const q = require('q');
+const Logger = require('@f5devcentral/f5-cloud-libs').logger;
+const cloudUtil = require('@f5devcentral/f5-cloud-libs').util;
+
+const DEFAULT_HOST = 'metadata.google.internal';
+
+// Entries which cannot change for the life of a VM
+const CACHEABLE_ENTRIES = [
+    'project/project-id',
+    'project/numeric-project-id',
+    'instance/id',
+    'instance/name',
+    'instance/hostname',
+    'instance/zone'
+];
+
+const RETRY_OPTIONS = {
+    maxRetries: cloudUtil.SHORT_RETRY.maxRetries,
+    retryIntervalMs: cloudUtil.SHORT_RETRY.retryIntervalMs,
+    // a missing entry is not going to show up if we ask again
+    failOnErrorMessages: [/status code 404/]
+};
+
+let logger = Logger.getLogger({ logLevel: 'none', module });
+let host;
+let cache = {};
+
+/**
+ * Client for the Google Cloud metadata service.
+ *
+ * Immutable entries (project id, zone, instance name, etc.) are cached for
+ * the life of the process. The host defaults to the GCE_METADATA_HOST environment
+ * variable, if set, so that a local stand-in can be used.
+ *
+ * @module
+ */
+module.exports = {
+    /**
+     * Queries local metadata service for an entry
+     *
+     * @param {String}  entry             - The name of the metadata entry. For example 'instance/zone'
+     * @param {Object}  [options]         - Optional parameters
+     * @param {Boolean} [options.noCache] - Skip the cache and always ask the metadata service.
+     *                                      Default false.
+     *
+     * @returns {Promise} A promise which is resolved with the data or rejected if an
+     *                    error occurs.
+     */
+    getMetadata(entry, options) {
+        const noCache = options && options.noCache;
+        const cacheable = CACHEABLE_ENTRIES.indexOf(entry) !== -1;
+
+        if (cacheable && !noCache && Object.prototype.hasOwnProperty.call(cache, entry)) {
+            return q(cache[entry]);
+        }
+
+        return cloudUtil.tryUntil(this, RETRY_OPTIONS, requestEntry, [entry])
+            .then((data) => {
+                if (cacheable) {
+                    cache[entry] = data;
+                }
+                return data;
+            })
+            .catch((err) => {
+                const message = `Error getting metadata ${err && err.message ? err.message : err}`;
+                logger.info(message);
+                return q.reject(err);
+            });
+    },
+
+    /**
+     * Gets the project for a client to make requests in
+     *
+     * @param {String} [projectId]   - Project the client was given. Used if set.
+     * @param {Object} [credentials] - Service account credentials. Their project is used next.
+     *
+     * @returns {Promise} A promise which is resolved with the project id. Without a project
+     *                    or credentials, this is the project of the VM we are running on.
+     */
+    getProjectId(projectId, credentials) {
+        if (projectId) {
+            return q(projectId);
+        }
+
+        if (credentials && credentials.project_id) {
+            return q(credentials.project_id);
+        }
+
+        return this.getMetadata('project/project-id');
+    },
+
+    /**
+     * Gets the host name (and optional port) of the metadata service
+     *
+     * @returns {String} The metadata host.
+     */
+    getHost() {
+        return host || process.env.GCE_METADATA_HOST || DEFAULT_HOST;
+    },
+
+    /**
+     * Sets the host name (and optional port) of the metadata service
+     *
+     * Overrides the GCE_METADATA_HOST environment variable. Pass nothing
+     * to go back to the default.
+     *
+     * @param {String} [metadataHost] - Host to use. For example 'localhost:8080'
+     */
+    setHost(metadataHost) {
+        host = metadataHost;
+    },
+
+    /**
+     * Clears cached metadata entries
+     */
+    clearCache() {
+        cache = {};
+    },
+
+    setLogger(aLogger) {
+        logger = aLogger;
+    },
+
+    setLoggerOptions(loggerOptions) {
+        const loggerOpts = Object.assign({}, loggerOptions);
+        loggerOpts.module = module;
+        logger = Logger.getLogger(loggerOpts);
+    }
+};
+
+function requestEntry(entry) {
+    const options = {
+        headers: {
+            'Metadata-Flavor': 'Google'
+        }
+    };
+
+    return cloudUtil.getDataFromUrl(
+        `http://${module.exports.getHost()}/computeMetadata/v1/${entry}`,
+        options
+    );
+}
@@ -0,0 +1,71 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+/**
+ * List requests for Google APIs which we make directly over REST.
+ *
+ * List responses hold one page of results. If there are more, the response
+ * has a nextPageToken to send with the request for the next page.
+ *
+ * @module
+ */
+module.exports = {
+    /**
+     * Sends requests for a list resource, following nextPageToken through all pages
+     *
+     * @param {Function} sendRequest             - Function which sends the list request for a path,
+     *                                             query string included, and returns a promise for
+     *                                             the response data. Usually a GET.
+     * @param {String}   path                    - Path of the list resource. May already have a query
+     *                                             string, for example a filter.
+     * @param {Object}   [options]               - Optional parameters.
+     * @param {Number}   [options.pageSize]      - Maximum results per page. Default is the API default.
+     * @param {String}   [options.pageSizeParam] - Name of the page size query parameter. Default 'pageSize'.
+     *                                             The Compute API uses 'maxResults'.
+     *
+     * @returns {Promise} A promise which is resolved with an array of the responses for each page.
+     */
+    getAllPages(sendRequest, path, options) {
+        const pageSize = options ? options.pageSize : undefined;
+        const pageSizeParam = options && options.pageSizeParam ? options.pageSizeParam : 'pageSize';
+        const pages = [];
+
+        const getPage = function (pageToken) {
+            const query = [];
+            if (pageSize) {
+                query.push(`${pageSizeParam}=${pageSize}`);
+            }
+            if (pageToken) {
+                query.push(`pageToken=${encodeURIComponent(pageToken)}`);
+            }
+            const separator = path.indexOf('?') === -1 ? '?' : '&';
+            const pagePath = query.length > 0 ? `${path}${separator}${query.join('&')}` : path;
+
+            return sendRequest(pagePath)
+                .then((data) => {
+                    pages.push(data);
+                    if (data && data.nextPageToken) {
+                        return getPage(data.nextPageToken);
+                    }
+                    return pages;
+                });
+        };
+
+        return getPage();
+    }
+};
@@ -19,10 +19,13 @@
 const assert = require('assert');
 const q = require('q');
 const Logger = require('@f5devcentral/f5-cloud-libs').logger;
-const httpUtil = require('@f5devcentral/f5-cloud-libs').httpUtil;
 const cloudUtil = require('@f5devcentral/f5-cloud-libs').util;
+const TokenManager = require('./tokenManager');
+const metadataService = require('./metadata');
+const pagination = require('./pagination');
 
 const BASE_URL = 'https://pubsub.googleapis.com/v1';
+const PUBSUB_SCOPE = 'https://www.googleapis.com/auth/pubsub';
 
 /**
  * Constructor
@@ -33,20 +36,45 @@ const BASE_URL = 'https://pubsub.googleapis.com/v1';
  * when calling getTopics. This class mimics that client.
  *
  * @param {String} serviceAccount          - The name of the service account to use.
+ * @param {Object} [options]               - Optional parameters.
+ * @param {Object} [options.credentials]   - Decoded Google Cloud service account credentials
+ *                                           (the JSON key file contents). If provided, tokens are
+ *                                           minted from the key rather than the metadata service.
+ * @param {String} [options.projectId]     - Project ID. Defaults to the project in the credentials
+ *                                           or, without credentials, the metadata service.
+ * @param {String | String[]} [options.impersonateServiceAccount] - Service account to impersonate.
+ *                                           See {@link TokenManager}.
+ * @param {Number} [options.pageSize]      - Maximum results per page for list requests.
+ *                                           Default is the Pub/Sub API default.
  * @param {Object} [options.loggerOptions] - Options for the logger.
  */
 function PubSub(serviceAccount, options) {
-    assert.equal(typeof serviceAccount, 'string', 'serviceAccount is required for PubSub');
+    const opts = options || {};
 
-    const loggerOptions = options.loggerOptions;
+    if (!opts.credentials) {
+        assert.equal(typeof serviceAccount, 'string', 'serviceAccount is required for PubSub');
+    }
+
+    const loggerOptions = opts.loggerOptions;
 
     this.initialized = false;
     this.serviceAccount = serviceAccount;
+    this.credentials = opts.credentials;
+    this.projectId = opts.projectId;
+    this.pageSize = opts.pageSize;
     if (loggerOptions) {
         loggerOptions.module = module;
         this.logger = Logger.getLogger(loggerOptions);
         cloudUtil.setLoggerOptions(loggerOptions);
     }
+
+    this.tokenManager = new TokenManager({
+        serviceAccount,
+        credentials: this.credentials,
+        impersonateServiceAccount: opts.impersonateServiceAccount,
+        scopes: [PUBSUB_SCOPE],
+        logger: this.logger
+    });
 }
 
 PubSub.prototype.acknowledge = function acknowledge(subscription, ackIds) {
@@ -100,50 +128,79 @@ PubSub.prototype.createSubscription = function createSubscription(topicName, sub
         });
 };
 
+/**
+ * Deletes a subscription
+ *
+ * @param {String} subscriptionName - Name of the subscription.
+ *
+ * @returns {Promise} A promise which is resolved when the request completes
+ *                    or is rejected if an error occurs.
+ */
+PubSub.prototype.deleteSubscription = function deleteSubscription(subscriptionName) {
+    assert.equal(
+        typeof subscriptionName,
+        'string',
+        'subscription name is required for PubSub.deleteSubscription'
+    );
+
+    return initialize.call(this)
+        .then(() => {
+            return sendRequest.call(this, 'DELETE', `subscriptions/${subscriptionName}`);
+        })
+        .catch((err) => {
+            logError.call(this, 'deleteSubscription', err);
+            return q.reject(err);
+        });
+};
+
 /**
  * Gets the subscriptions for a given topic
  *
+ * All pages of results are retrieved.
+ *
  * @param {Object} params       - Dictionary of parameters
  * @param {String} params.topic - Full name of topic
  *
  * @returns {Promise} A promise which is resolved with an array where
  *                    the first element contains the subscriptions
- *                    for the topic.
+ *                    for the topic, or rejected if an error occurs.
  */
 PubSub.prototype.getSubscriptions = function getSubscriptions(params) {
     assert.equal(typeof params.topic, 'string', 'topic is required for PubSub.getSubscriptions');
 
     return initialize.call(this)
         .then(() => {
-            return sendRequest.call(this, 'GET', `topics/${params.topic}/subscriptions`);
+            return listAll.call(this, `topics/${params.topic}/subscriptions`, 'subscriptions');
         })
-        .then((data) => {
-            const subscriptions = data.subscriptions || [];
+        .then((subscriptions) => {
             return [subscriptions];
         })
         .catch((err) => {
             logError.call(this, 'getSubscriptions', err);
+            return q.reject(err);
         });
 };
 
 /**
  * Gets the topics for the current project
  *
+ * All pages of results are retrieved.
+ *
  * @returns {Promise} A promise which is resolved with an array where
  *                    the first element contains the topics
- *                    for the project.
+ *                    for the project, or rejected if an error occurs.
  */
 PubSub.prototype.getTopics = function getTopics() {
     return initialize.call(this)
         .then(() => {
-            return sendRequest.call(this, 'GET', 'topics');
+            return listAll.call(this, 'topics', 'topics');
         })
-        .then((data) => {
-            const topics = data.topics || [];
+        .then((topics) => {
             return [topics];
         })
         .catch((err) => {
             logError.call(this, 'getTopics', err);
+            return q.reject(err);
         });
 };
 
@@ -241,13 +298,15 @@ function initialize() {
         return q();
     }
 
-    return getMetadata.call(this, 'project/project-id')
+    if (this.projectId || (this.credentials && this.credentials.project_id)) {
+        this.projectId = this.projectId || this.credentials.project_id;
+        this.initialized = true;
+        return q();
+    }
+
+    return metadataService.getMetadata('project/project-id')
         .then((projectId) => {
             this.projectId = projectId;
-            return getMetadata.call(this, `instance/service-accounts/${this.serviceAccount}/token`);
-        })
-        .then((token) => {
-            this.accessToken = token.access_token;
             this.initialized = true;
             return q();
         })
@@ -257,52 +316,42 @@ function initialize() {
 }
 
 function sendRequest(method, path, body) {
-    if (!this.accessToken) {
-        return q.reject(new Error('httpUtil.sendRequest: no auth token. call init first'));
+    if (!this.projectId) {
+        return q.reject(new Error('httpUtil.sendRequest: no project id. call init first'));
     }
-    const headers = {
-        Authorization: `Bearer ${this.accessToken}`,
-        'Content-Type': 'application/json'
-    };
 
     const url = `${BASE_URL}/projects/${this.projectId}/${path}`;
 
-    return httpUtil.request(method, url, { headers, body });
-}
-
-function logError(funcName, err) {
-    if (this.logger) {
-        this.logger.info(`${funcName} error: ${err && err.message ? err.message : err}`);
-    }
+    return this.tokenManager.request(method, url, body);
 }
 
 /**
- * Queries local metadata service for an entry
+ * Sends GET requests for a list resource, following nextPageToken through all pages
  *
- * @param {String} entry - The name of the metadata entry. For example 'insance/zone'
+ * @param {String} path     - Path relative to the project.
+ * @param {String} property - Name of the property in the response which holds the list.
  *
- * @returns {Promise} A promise which is resolved with the data or rejected if an
- *                    error occurs.
+ * @returns {Promise} A promise which is resolved with the items from all pages.
  */
-function getMetadata(entry) {
-    const options = {
-        headers: {
-            'Metadata-Flavor': 'Google'
-        }
+function listAll(path, property) {
+    const sendGet = (pagePath) => {
+        return sendRequest.call(this, 'GET', pagePath);
     };
 
-    return cloudUtil.getDataFromUrl(
-        `http://metadata.google.internal/computeMetadata/v1/${entry}`,
-        options
-    )
-        .then((data) => {
-            return data;
-        })
-        .catch((err) => {
-            const message = `Error getting metadata ${err.message}`;
-            this.logger.info(message);
-            return q.reject(err);
+    return pagination.getAllPages(sendGet, path, { pageSize: this.pageSize })
+        .then((pages) => {
+            let items = [];
+            pages.forEach((page) => {
+                items = items.concat(page[property] || []);
+            });
+            return items;
         });
 }
 
+function logError(funcName, err) {
+    if (this.logger) {
+        this.logger.info(`${funcName} error: ${err && err.message ? err.message : err}`);
+    }
+}
+
 module.exports = PubSub;
@@ -0,0 +1,265 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+const assert = require('assert');
+const q = require('q');
+const Logger = require('@f5devcentral/f5-cloud-libs').logger;
+const TokenManager = require('./tokenManager');
+const metadataService = require('./metadata');
+const pagination = require('./pagination');
+
+const BASE_URL = 'https://secretmanager.googleapis.com/v1';
+
+/**
+ * Constructor
+ *
+ * @class
+ * @classdesc
+ * Minimal Secret Manager client for storing a secret as a series of versions.
+ *
+ * @param {Object} [options]                - Optional parameters.
+ * @param {String} [options.serviceAccount] - Name of the VM service account to use. Default 'default'.
+ * @param {Object} [options.credentials]    - Decoded Google Cloud service account credentials.
+ * @param {String} [options.projectId]      - Project the secrets are in. Defaults to the project in
+ *                                            the credentials or, without credentials, the metadata service.
+ * @param {String | String[]} [options.impersonateServiceAccount] - Service account to impersonate.
+ *                                            See {@link TokenManager}.
+ * @param {Number} [options.pageSize]       - Maximum results per page for list requests.
+ *                                            Default is the Secret Manager API default.
+ * @param {Object} [options.loggerOptions]  - Options for the logger.
+ */
+function SecretManager(options) {
+    const opts = options || {};
+    const loggerOptions = opts.loggerOptions;
+
+    this.credentials = opts.credentials;
+    this.projectId = opts.projectId;
+    this.pageSize = opts.pageSize;
+
+    if (loggerOptions) {
+        loggerOptions.module = module;
+        this.logger = Logger.getLogger(loggerOptions);
+    }
+
+    this.tokenManager = new TokenManager({
+        serviceAccount: opts.serviceAccount,
+        credentials: opts.credentials,
+        impersonateServiceAccount: opts.impersonateServiceAccount,
+        logger: this.logger
+    });
+}
+
+/**
+ * Adds a version to a secret, creating the secret if it does not exist
+ *
+ * @param {String}          secretId - ID of the secret.
+ * @param {String | Buffer} data     - Secret data.
+ *
+ * @returns {Promise} A promise which is resolved with the new version or
+ *                    rejected if an error occurs.
+ */
+SecretManager.prototype.addVersion = function addVersion(secretId, data) {
+    assert.equal(typeof secretId, 'string', 'secretId is required for SecretManager.addVersion');
+
+    const body = {
+        payload: {
+            data: Buffer.from(data).toString('base64')
+        }
+    };
+
+    return initialize.call(this)
+        .then(() => {
+            return sendRequest.call(this, 'POST', `secrets/${secretId}:addVersion`, body)
+                .catch((err) => {
+                    if (!isNotFound(err)) {
+                        return q.reject(err);
+                    }
+
+                    logSilly.call(this, `creating secret ${secretId}`);
+                    const secret = {
+                        replication: {
+                            automatic: {}
+                        }
+                    };
+                    const createPath = `secrets?secretId=${encodeURIComponent(secretId)}`;
+                    return sendRequest.call(this, 'POST', createPath, secret)
+                        .then(() => {
+                            return sendRequest.call(this, 'POST', `secrets/${secretId}:addVersion`, body);
+                        });
+                });
+        });
+};
+
+/**
+ * Gets the data in the most recent enabled version of a secret
+ *
+ * @param {String} secretId - ID of the secret.
+ *
+ * @returns {Promise} A promise which is resolved with a Buffer containing the
+ *                    secret data, or undefined if there are no enabled versions.
+ */
+SecretManager.prototype.getLatestEnabled = function getLatestEnabled(secretId) {
+    assert.equal(typeof secretId, 'string', 'secretId is required for SecretManager.getLatestEnabled');
+
+    return initialize.call(this)
+        .then(() => {
+            return this.listVersions(secretId, { state: 'ENABLED' });
+        })
+        .then((versions) => {
+            if (versions.length === 0) {
+                return q();
+            }
+
+            const versionId = getVersionId(versions[0].name);
+            return sendRequest.call(this, 'GET', `secrets/${secretId}/versions/${versionId}:access`)
+                .then((response) => {
+                    return Buffer.from(response.payload.data, 'base64');
+                });
+        });
+};
+
+/**
+ * Gets the data in a secret version by its resource name
+ *
+ * The version can be in any project the credentials have access to.
+ *
+ * @param {String} name - Resource name of the version. For example
+ *                        'projects/myProject/secrets/mySecret/versions/latest'.
+ *
+ * @returns {Promise} A promise which is resolved with a Buffer containing the secret data.
+ */
+SecretManager.prototype.accessVersion = function accessVersion(name) {
+    assert.equal(typeof name, 'string', 'name is required for SecretManager.accessVersion');
+
+    return this.tokenManager.request('GET', `${BASE_URL}/${name}:access`)
+        .then((response) => {
+            return Buffer.from(response.payload.data, 'base64');
+        });
+};
+
+/**
+ * Lists versions of a secret, newest first
+ *
+ * All pages of results are retrieved.
+ *
+ * @param {String} secretId        - ID of the secret.
+ * @param {Object} [options]       - Optional parameters.
+ * @param {String} [options.state] - Only list versions in this state. For example 'ENABLED'.
+ *
+ * @returns {Promise} A promise which is resolved with an array of versions, each with
+ *                    at least a name and state.
+ */
+SecretManager.prototype.listVersions = function listVersions(secretId, options) {
+    const filter = options && options.state ? `state:${options.state}` : undefined;
+
+    return initialize.call(this)
+        .then(() => {
+            return listAll.call(this, `secrets/${secretId}/versions`, filter);
+        })
+        .then((versions) => {
+            return versions.sort((a, b) => {
+                return getVersionId(b.name) - getVersionId(a.name);
+            });
+        });
+};
+
+/**
+ * Destroys all but the newest versions of a secret
+ *
+ * @param {String} secretId  - ID of the secret.
+ * @param {Number} keepCount - Number of versions to keep.
+ *
+ * @returns {Promise} A promise which is resolved with the names of the destroyed versions.
+ */
+SecretManager.prototype.destroyOldVersions = function destroyOldVersions(secretId, keepCount) {
+    return this.listVersions(secretId)
+        .then((versions) => {
+            const oldVersions = versions
+                .filter((version) => {
+                    return version.state !== 'DESTROYED';
+                })
+                .slice(keepCount);
+
+            return q.all(oldVersions.map((version) => {
+                const versionId = getVersionId(version.name);
+                logSilly.call(this, `destroying secret version ${version.name}`);
+                return sendRequest.call(this, 'POST', `secrets/${secretId}/versions/${versionId}:destroy`, {})
+                    .then(() => {
+                        return version.name;
+                    });
+            }));
+        });
+};
+
+function initialize() {
+    return metadataService.getProjectId(this.projectId, this.credentials)
+        .then((projectId) => {
+            this.projectId = projectId;
+        });
+}
+
+function sendRequest(method, path, body) {
+    const url = `${BASE_URL}/projects/${this.projectId}/${path}`;
+    return this.tokenManager.request(method, url, body);
+}
+
+/**
+ * Lists the versions of a secret from all pages
+ *
+ * @param {String} path     - Path relative to the project.
+ * @param {String} [filter] - List filter.
+ *
+ * @returns {Promise} A promise which is resolved with the versions from all pages.
+ */
+function listAll(path, filter) {
+    const listPath = filter ? `${path}?filter=${encodeURIComponent(filter)}` : path;
+
+    return pagination.getAllPages(
+        (pagePath) => {
+            return sendRequest.call(this, 'GET', pagePath);
+        },
+        listPath,
+        { pageSize: this.pageSize }
+    )
+        .then((pages) => {
+            return pages.reduce((versions, page) => {
+                return versions.concat(page.versions || []);
+            }, []);
+        });
+}
+
+/**
+ * Gets the version number from a version name.
+ *
+ * For example, 'projects/123/secrets/foo/versions/7' returns 7
+ */
+function getVersionId(name) {
+    return parseInt(name.substr(name.lastIndexOf('/') + 1), 10);
+}
+
+function isNotFound(err) {
+    return !!(err && err.message && err.message.indexOf('status code 404') !== -1);
+}
+
+function logSilly(message) {
+    if (this.logger) {
+        this.logger.silly(message);
+    }
+}
+
+module.exports = SecretManager;
@@ -0,0 +1,266 @@
+/**
+* Copyright 2018 F5 Networks, Inc.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*     http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+const q = require('q');
+const GoogleToken = require('gtoken').GoogleToken;
+const Logger = require('@f5devcentral/f5-cloud-libs').logger;
+const httpUtil = require('@f5devcentral/f5-cloud-libs').httpUtil;
+const metadataService = require('./metadata');
+
+const DEFAULT_SCOPE = 'https://www.googleapis.com/auth/cloud-platform';
+const IAM_CREDENTIALS_URL = 'https://iamcredentials.googleapis.com/v1';
+
+// Lifetime to request for impersonated tokens. One hour is the maximum without an org policy change.
+const IMPERSONATION_LIFETIME_SECONDS = 3600;
+
+// Refresh this long before the token actually expires
+const DEFAULT_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Used when the token response does not tell us how long it is good for
+const DEFAULT_EXPIRES_IN_SECONDS = 3600;
+
+/**
+ * Constructor
+ *
+ * @class
+ * @classdesc
+ * Hands out OAuth access tokens for Google APIs, refreshing them before they
+ * expire. Tokens come from the metadata service for a service account attached
+ * to this VM or, if credentials are provided, are minted from a service account key.
+ * Optionally, that base token is exchanged for a short-lived token for another
+ * service account via the IAM Credentials API.
+ *
+ * @param {Object}   [options]                 - Optional parameters.
+ * @param {String}   [options.serviceAccount]  - Name of the VM service account to get tokens for
+ *                                               from the metadata service. Default 'default'.
+ * @param {Object}   [options.credentials]     - Decoded Google Cloud service account credentials.
+ * @param {String[]} [options.scopes]          - OAuth scopes to request when minting tokens from
+ *                                               credentials. Default is the cloud-platform scope.
+ * @param {String | String[]} [options.impersonateServiceAccount] - Email of a service account to impersonate.
+ *                                               If an array, the last entry is the account to impersonate
+ *                                               and the earlier entries are the delegation chain.
+ * @param {Number}   [options.refreshMarginMs] - How long before expiry to refresh. Default 5 minutes.
+ * @param {Object}   [options.logger]          - Logger to use. Or, pass loggerOptions to get your own logger.
+ * @param {Object}   [options.loggerOptions]   - Options for the logger.
+ */
+function TokenManager(options) {
+    const opts = options || {};
+
+    this.serviceAccount = opts.serviceAccount || 'default';
+    this.credentials = opts.credentials;
+    this.scopes = opts.scopes || [DEFAULT_SCOPE];
+
+    if (opts.impersonateServiceAccount) {
+        const chain = [].concat(opts.impersonateServiceAccount);
+        this.impersonateServiceAccount = chain.pop();
+        this.delegates = chain;
+    }
+    this.refreshMarginMs = typeof opts.refreshMarginMs === 'number'
+        ? opts.refreshMarginMs
+        : DEFAULT_REFRESH_MARGIN_MS;
+
+    this.accessToken = undefined;
+    this.expiresAt = 0;
+    this.pendingRefresh = undefined;
+
+    if (opts.logger) {
+        this.logger = opts.logger;
+    } else if (opts.loggerOptions) {
+        opts.loggerOptions.module = module;
+        this.logger = Logger.getLogger(opts.loggerOptions);
+    }
+}
+
+/**
+ * Gets a valid access token, refreshing it if it is expired or about to expire
+ *
+ * @returns {Promise} A promise which is resolved with the access token.
+ */
+TokenManager.prototype.getToken = function getToken() {
+    if (this.accessToken && Date.now() < this.expiresAt - this.refreshMarginMs) {
+        return q(this.accessToken);
+    }
+
+    // Only have one refresh in flight at a time
+    if (!this.pendingRefresh) {
+        this.pendingRefresh = fetchToken.call(this)
+            .then((token) => {
+                const expiresIn = token.expires_in || DEFAULT_EXPIRES_IN_SECONDS;
+                this.accessToken = token.access_token;
+                this.expiresAt = Date.now() + (expiresIn * 1000);
+                this.pendingRefresh = undefined;
+                logSilly.call(this, `got access token, expires in ${expiresIn}s`);
+                return this.accessToken;
+            })
+            .catch((err) => {
+                this.pendingRefresh = undefined;
+                return q.reject(err);
+            });
+    }
+
+    return this.pendingRefresh;
+};
+
+/**
+ * Forgets the current access token so that the next call to getToken gets a new one
+ */
+TokenManager.prototype.invalidate = function invalidate() {
+    this.accessToken = undefined;
+    this.expiresAt = 0;
+    if (this.googleToken) {
+        this.googleToken.token = null;
+    }
+};
+
+/**
+ * Makes a Google Cloud SDK client (Compute, Storage, etc.) use our tokens
+ *
+ * @param {Object} client - Client created from a @google-cloud package.
+ *
+ * @returns {Object} The client.
+ */
+TokenManager.prototype.authorizeClient = function authorizeClient(client) {
+    const authClient = client ? client.authClient : undefined;
+    if (authClient) {
+        authClient.getToken = (callback) => {
+            this.getToken()
+                .then((accessToken) => {
+                    callback(null, accessToken);
+                })
+                .catch((err) => {
+                    callback(err);
+                });
+        };
+    }
+    return client;
+};
+
+/**
+ * Sends an authorized request to a Google API
+ *
+ * If the request is rejected as unauthorized, the token is refreshed and
+ * the request is retried once.
+ *
+ * @param {String} method - HTTP method.
+ * @param {String} url    - Full URL of the request.
+ * @param {Object} [body] - JSON body to send.
+ *
+ * @returns {Promise} A promise which is resolved with the response data
+ *                    or rejected if an error occurs.
+ */
+TokenManager.prototype.request = function request(method, url, body) {
+    const send = () => {
+        return this.getToken()
+            .then((accessToken) => {
+                const headers = {
+                    Authorization: `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json'
+                };
+                return httpUtil.request(method, url, { headers, body });
+            });
+    };
+
+    return send()
+        .catch((err) => {
+            if (isUnauthorized(err)) {
+                logSilly.call(this, 'request unauthorized, refreshing token and retrying');
+                this.invalidate();
+                return send();
+            }
+            return q.reject(err);
+        });
+};
+
+function fetchToken() {
+    if (!this.impersonateServiceAccount) {
+        return fetchBaseToken.call(this, this.scopes);
+    }
+
+    // The base token is only used to call the IAM Credentials API
+    return fetchBaseToken.call(this, [DEFAULT_SCOPE])
+        .then((baseToken) => {
+            const body = {
+                scope: this.scopes,
+                lifetime: `${IMPERSONATION_LIFETIME_SECONDS}s`
+            };
+            if (this.delegates.length > 0) {
+                body.delegates = this.delegates.map((delegate) => {
+                    return `projects/-/serviceAccounts/${delegate}`;
+                });
+            }
+
+            const headers = {
+                Authorization: `Bearer ${baseToken.access_token}`,
+                'Content-Type': 'application/json'
+            };
+
+            const serviceAccountPath = `projects/-/serviceAccounts/${this.impersonateServiceAccount}`;
+            const url = `${IAM_CREDENTIALS_URL}/${serviceAccountPath}:generateAccessToken`;
+
+            logSilly.call(this, `impersonating ${this.impersonateServiceAccount}`);
+            return httpUtil.request('POST', url, { headers, body });
+        })
+        .then((response) => {
+            const expiresInMs = new Date(response.expireTime).getTime() - Date.now();
+            return {
+                access_token: response.accessToken,
+                expires_in: Math.floor(expiresInMs / 1000)
+            };
+        });
+}
+
+function fetchBaseToken(scopes) {
+    if (this.credentials) {
+        if (!this.credentials.client_email || !this.credentials.private_key) {
+            return q.reject(new Error('credentials must contain client_email and private_key'));
+        }
+
+        if (!this.googleToken) {
+            this.googleToken = new GoogleToken({
+                email: this.credentials.client_email,
+                key: this.credentials.private_key,
+                scope: scopes
+            });
+        }
+
+        // gtoken caches until the token has actually expired, but we refresh early
+        this.googleToken.token = null;
+        return q(this.googleToken.getToken())
+            .then((accessToken) => {
+                const rawToken = this.googleToken.rawToken || {};
+                return {
+                    access_token: accessToken,
+                    expires_in: rawToken.expires_in
+                };
+            });
+    }
+
+    return metadataService.getMetadata(`instance/service-accounts/${this.serviceAccount}/token`);
+}
+
+function isUnauthorized(err) {
+    return !!(err && err.message && err.message.indexOf('status code 401') !== -1);
+}
+
+function logSilly(message) {
+    if (this.logger) {
+        this.logger.silly(message);
+    }
+}
+
+module.exports = TokenManager;
@@ -80,6 +80,53 @@ describe('failover tests', () => {
     // Our tests cause too many event listeners. Turn off the check.
     process.setMaxListeners(0);
 
+    // graceful-fs patches fs and process each time it is loaded. We clear the require cache after
+    // each test, so put the originals back or every test's modules stay in memory.
+    // eslint-disable-next-line global-require
+    const fs = require('fs');
+    const fsOriginals = {};
+    const processOriginals = {};
+    ['close', 'closeSync', 'ReadStream', 'WriteStream', 'FileReadStream', 'FileWriteStream']
+        .forEach((name) => {
+            fsOriginals[name] = fs[name];
+        });
+    ['cwd', 'chdir'].forEach((name) => {
+        processOriginals[name] = process[name];
+    });
+
+    // fs.rmSync needs Node 14.14, so remove test directories by hand
+    function removeDirectory(directory) {
+        /* eslint-disable global-require */
+        const path = require('path');
+        /* eslint-enable global-require */
+
+        if (!fsMock.existsSync(directory)) {
+            return;
+        }
+        fsMock.readdirSync(directory).forEach((entry) => {
+            const entryPath = path.join(directory, entry);
+            if (fsMock.lstatSync(entryPath).isDirectory()) {
+                removeDirectory(entryPath);
+            } else {
+                fsMock.unlinkSync(entryPath);
+            }
+        });
+        fsMock.rmdirSync(directory);
+    }
+
+    // fs.mkdtempSync needs Node 5.10, so make test directories by hand
+    function makeTempDirectory() {
+        /* eslint-disable global-require */
+        const os = require('os');
+        const path = require('path');
+        /* eslint-enable global-require */
+
+        const name = `gce-storage-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        const directory = path.join(os.tmpdir(), name);
+        fsMock.mkdirSync(directory);
+        return directory;
+    }
+
     beforeEach(() => {
         /* eslint-disable global-require */
         cloudUtilMock = require('@f5devcentral/f5-cloud-libs').util;
@@ -112,7 +159,11 @@ describe('failover tests', () => {
         Object.keys(require.cache).forEach((key) => {
             delete require.cache[key];
         });
+        // This module keeps the modules it required as children, so let them go too
+        module.children.splice(0);
         fsMock.createReadStream = createReadStream;
+        Object.assign(fs, fsOriginals);
+        Object.assign(process, processOriginals);
     });
 
     describe('init tests', () => {
@@ -133,6 +184,81 @@ describe('failover tests', () => {
                 });
         });
 
+        it('credentials autoscale test', () => {
+            const secretBase64 = cloudUtilMock.createBufferFrom(
+                JSON.stringify(credentials)
+            ).toString('base64');
+            const providerOptions = {
+                projectId,
+                secret: secretBase64,
+                region: 'east',
+                serviceAccount: 'foo@bar.iam.gserviceaccount.com',
+                instanceGroup: 'myInstanceGroup'
+            };
+
+            return provider.init(providerOptions, { autoscale: true })
+                .then(() => {
+                    assert.deepEqual(provider.pubSub.credentials, credentials);
+                    assert.strictEqual(provider.pubSub.projectId, projectId);
+                });
+        });
+
+        it('impersonate service account test', () => {
+            // eslint-disable-next-line global-require
+            const httpUtilMock = require('@f5devcentral/f5-cloud-libs').httpUtil;
+            const getDataFromUrl = cloudUtilMock.getDataFromUrl;
+            let requestUrl;
+            let requestOptions;
+
+            cloudUtilMock.getDataFromUrl = function getToken(url) {
+                if (url.endsWith('/token')) {
+                    return q({ access_token: 'baseToken', expires_in: 3600 });
+                }
+                return getDataFromUrl(url);
+            };
+            httpUtilMock.request = function request(method, url, options) {
+                requestUrl = url;
+                requestOptions = options;
+                return q({
+                    accessToken: 'impersonatedToken',
+                    expireTime: new Date(Date.now() + 3600000).toISOString()
+                });
+            };
+
+            const providerOptions = {
+                region,
+                impersonateServiceAccount: [
+                    'delegate@foo.iam.gserviceaccount.com',
+                    'target@foo.iam.gserviceaccount.com'
+                ]
+            };
+
+            return provider.init(providerOptions)
+                .then(() => {
+                    const deferred = q.defer();
+                    provider.compute.authClient.getToken((err, token) => {
+                        if (err) {
+                            deferred.reject(err);
+                        } else {
+                            deferred.resolve(token);
+                        }
+                    });
+                    return deferred.promise;
+                })
+                .then((token) => {
+                    assert.strictEqual(token, 'impersonatedToken');
+                    assert.ok(requestUrl.startsWith('https://iamcredentials.googleapis.com/v1/'));
+                    assert.ok(requestUrl.endsWith(
+                        'serviceAccounts/target@foo.iam.gserviceaccount.com:generateAccessToken'
+                    ));
+                    assert.strictEqual(requestOptions.headers.Authorization, 'Bearer baseToken');
+                    assert.deepEqual(
+                        requestOptions.body.delegates,
+                        ['projects/-/serviceAccounts/delegate@foo.iam.gserviceaccount.com']
+                    );
+                });
+        });
+
         it('credentials no region test', () => {
             const secretBase64 = cloudUtilMock.createBufferFrom(
                 JSON.stringify(credentials)
@@ -178,22 +304,112 @@ describe('failover tests', () => {
                     assert.strictEqual(provider.compute.projectId, projectId);
                 });
         });
+
+        it('shared vpc projects test', () => {
+            const providerOptions = {
+                projectId,
+                computeProjectId: 'serviceProject',
+                pubSubProjectId: 'pubSubProject',
+                serviceAccount: 'foo@bar.iam.gserviceaccount.com',
+                instanceGroup: 'myInstanceGroup'
+            };
+
+            return provider.init(providerOptions, { autoscale: true })
+                .then(() => {
+                    assert.strictEqual(provider.compute.projectId, 'serviceProject');
+                    assert.strictEqual(provider.storage.projectId, projectId);
+                    assert.strictEqual(provider.pubSub.projectId, 'pubSubProject');
+                });
+        });
+
+        it('unknown credentials store test', () => {
+            return provider.init({ credentialsStore: 'foo' })
+                .catch((err) => { return err; })
+                .then((err) => {
+                    assert.strictEqual(err.message, 'Unknown credentials store foo');
+                });
+        });
+
+        it('encryption key test', () => {
+            const encryptionKey = Buffer.alloc(32, 'k').toString('base64');
+            return provider.init({ encryptionKey, storageBucket: 'gcp-storage-bucket' })
+                .then(() => {
+                    assert.strictEqual(provider.encryptionKey.toString('base64'), encryptionKey);
+                });
+        });
+
+        it('bad encryption key test', () => {
+            const encryptionKey = Buffer.alloc(16, 'k').toString('base64');
+            return provider.init({ encryptionKey })
+                .catch((err) => { return err; })
+                .then((err) => {
+                    assert.strictEqual(
+                        err.message,
+                        'providerOptions.encryptionKey must be a base64 encoded 256 bit key'
+                    );
+                });
+        });
+
+        it('encryption key and kms key test', () => {
+            const encryptionKey = Buffer.alloc(32, 'k').toString('base64');
+            return provider.init({ encryptionKey, kmsKeyName: 'myKey' })
+                .catch((err) => { return err; })
+                .then((err) => {
+                    assert.strictEqual(
+                        err.message,
+                        'Only one of providerOptions.kmsKeyName and encryptionKey may be set'
+                    );
+                });
+        });
+
+        it('unknown storage backend test', () => {
+            return provider.init({ storageBackend: 'foo' })
+                .catch((err) => { return err; })
+                .then((err) => {
+                    assert.strictEqual(err.message, 'Unknown storage backend foo');
+                });
+        });
+
+        it('local storage backend no directory test', () => {
+            return provider.init({ storageBackend: 'local' })
+                .catch((err) => { return err; })
+                .then((err) => {
+                    assert.strictEqual(err.message, 'directory is required for the local storage backend');
+                });
+        });
+
+        it('firestore storage backend test', () => {
+            return provider.init({ storageBackend: 'firestore', instanceGroup: 'myGroup' })
+                .then(() => {
+                    assert.strictEqual(provider.storageBackend.collection, 'myGroup');
+                });
+        });
     });
 
     describe('get data from uri tests', () => {
+        let objectData;
+        let objectMetadata;
+
         beforeEach(() => {
+            objectData = '{"key":"value"}';
+            objectMetadata = { contentType: 'application/json' };
             provider.storage = {
-                bucket(bucketParams) {
+                bucket(bucketParams, bucketOptions) {
                     passedParams.storage.bucketParams = bucketParams;
+                    passedParams.storage.bucketOptions = bucketOptions;
                     return {
-                        file(fileParams) {
+                        file(fileParams, fileOptions) {
                             passedParams.storage.fileParams = fileParams;
+                            passedParams.storage.fileOptions = fileOptions;
                             return {
-                                download() {
-                                    return q(['{"key":"value"}']);
+                                download(downloadOptions) {
+                                    passedParams.storage.downloadOptions = downloadOptions;
+                                    return q([objectData]);
                                 },
                                 getMetadata() {
-                                    return q([{ contentType: 'application/json' }]);
+                                    return q([Object.assign({
+                                        generation: fileOptions ? fileOptions.generation : undefined
+                                    }, objectMetadata)]);
                                 }
                             };
                         }
@@ -221,13 +437,25 @@ describe('failover tests', () => {
         });
 
         it('invalid uri test', () => {
-            return provider.getDataFromUri('https://console.cloud.google.com/storage/browser/bucket/key')
+            return provider.getDataFromUri('s3://bucket/key')
                 .catch((err) => { return err; })
                 .then((err) => {
                     assert.strictEqual(err.message, 'Invalid URI. URI should be a gsutil.');
                 });
         });
 
+        it('unsupported https host test', () => {
+            return provider.getDataFromUri('https://console.cloud.google.com/storage/browser/bucket/key')
+                .catch((err) => { return err; })
+                .then((err) => {
+                    assert.strictEqual(
+                        err.message,
+                        'Invalid URI. Unsupported host console.cloud.google.com. ' +
+                        'Format should be https://storage.googleapis.com/bucket/filename'
+                    );
+                });
+        });
+
         it('invalid arn test', () => {
             return provider.getDataFromUri('gs://myBucket/')
                 .catch((err) => { return err; })
@@ -235,6 +463,185 @@ describe('failover tests', () => {
                     assert.strictEqual(err.message, 'Invalid URI. Format should be gs://bucket/filename');
                 });
         });
+
+        it('generation test', () => {
+            return provider.getDataFromUri('gs://myBucket/myFilename#1234')
+                .then((data) => {
+                    assert.strictEqual(passedParams.storage.fileParams, 'myFilename');
+                    assert.strictEqual(passedParams.storage.fileOptions.generation, '1234');
+                    assert.strictEqual(data.key, 'value');
+                });
+        });
+
+        it('invalid generation test', () => {
+            return provider.getDataFromUri(
+                'https://storage.googleapis.com/myBucket/myFilename?generation=latest'
+            )
+                .catch((err) => { return err; })
+                .then((err) => {
+                    assert.strictEqual(err.message, 'Invalid generation latest');
+                });
+        });
+
+        it('hash in object name test', () => {
+            return provider.getDataFromUri('gs://myBucket/my#Folder/myFilename#latest')
+                .then((data) => {
+                    assert.strictEqual(passedParams.storage.fileParams, 'my#Folder/myFilename#latest');
+                    assert.strictEqual(passedParams.storage.fileOptions.generation, undefined);
+                    assert.strictEqual(data.key, 'value');
+                });
+        });
+
+        it('hash and generation test', () => {
+            return provider.getDataFromUri('gs://myBucket/my#Filename#1234')
+                .then(() => {
+                    assert.strictEqual(passedParams.storage.fileParams, 'my#Filename');
+                    assert.strictEqual(passedParams.storage.fileOptions.generation, '1234');
+                });
+        });
+
+        it('https test', () => {
+            return provider.getDataFromUri(
+                'https://storage.googleapis.com/myBucket/myFolder/my%20Filename' +
+                '?generation=5&userProject=myProject'
+            )
+                .then((data) => {
+                    assert.strictEqual(passedParams.storage.bucketParams, 'myBucket');
+                    assert.deepEqual(passedParams.storage.bucketOptions, { userProject: 'myProject' });
+                    assert.strictEqual(passedParams.storage.fileParams, 'myFolder/my Filename');
+                    assert.strictEqual(passedParams.storage.fileOptions.generation, '5');
+                    assert.deepEqual(passedParams.storage.downloadOptions, { userProject: 'myProject' });
+                    assert.strictEqual(data.key, 'value');
+                });
+        });
+
+        it('virtual hosted https test', () => {
+            return provider.getDataFromUri('https://myBucket.storage.googleapis.com/myFilename')
+                .then((data) => {
+                    assert.strictEqual(passedParams.storage.bucketParams, 'mybucket');
+                    assert.strictEqual(passedParams.storage.fileParams, 'myFilename');
+                    assert.strictEqual(data.key, 'value');
+                });
+        });
+
+        it('user project option test', () => {
+            return provider.getDataFromUri('gs://myBucket/myFilename', { userProject: 'myProject' })
+                .then(() => {
+                    assert.deepEqual(passedParams.storage.bucketOptions, { userProject: 'myProject' });
+                    assert.deepEqual(passedParams.storage.downloadOptions, { userProject: 'myProject' });
+                });
+        });
+
+        it('secret manager test', () => {
+            let accessedName;
+            provider.secretManager = {
+                accessVersion(name) {
+                    accessedName = name;
+                    return q(Buffer.from('{"password":"foo"}'));
+                }
+            };
+
+            return provider.getDataFromUri('secretmanager://projects/myProject/secrets/mySecret')
+                .then((data) => {
+                    assert.strictEqual(accessedName, 'projects/myProject/secrets/mySecret/versions/latest');
+                    assert.deepEqual(data, { password: 'foo' });
+                });
+        });
+
+        it('secret manager version test', () => {
+            let accessedName;
+            provider.secretManager = {
+                accessVersion(name) {
+                    accessedName = name;
+                    return q(Buffer.from('not json'));
+                }
+            };
+
+            return provider.getDataFromUri('secretmanager://projects/myProject/secrets/mySecret/versions/3')
+                .then((data) => {
+                    assert.strictEqual(accessedName, 'projects/myProject/secrets/mySecret/versions/3');
+                    assert.strictEqual(data, 'not json');
+                });
+        });
+
+        it('gzip file test', () => {
+            // eslint-disable-next-line global-require
+            objectData = require('zlib').gzipSync('{"key":"value"}');
+            objectMetadata = { contentType: 'application/gzip' };
+
+            return provider.getDataFromUri('gs://myBucket/declaration.json.gz')
+                .then((data) => {
+                    assert.deepEqual(data, { key: 'value' });
+                });
+        });
+
+        it('gzip content encoding test', () => {
+            // eslint-disable-next-line global-require
+            objectData = require('zlib').gzipSync('hello');
+            objectMetadata = { contentType: 'text/plain', contentEncoding: 'gzip' };
+
+            return provider.getDataFromUri('gs://myBucket/license')
+                .then((data) => {
+                    assert.strictEqual(data, 'hello');
+                });
+        });
+
+        it('yaml test', () => {
+            objectData = Buffer.from('key: value\nlist:\n  - 1\n  - 2\n');
+            objectMetadata = { contentType: 'application/x-yaml' };
+
+            return provider.getDataFromUri('gs://myBucket/declaration.yaml')
+                .then((data) => {
+                    assert.deepEqual(data, { key: 'value', list: [1, 2] });
+                });
+        });
+
+        it('as test', () => {
+            objectData = Buffer.from('key: value\n');
+            objectMetadata = { contentType: 'application/octet-stream' };
+
+            return provider.getDataFromUri('gs://myBucket/declaration', { as: 'yaml' })
+                .then((data) => {
+                    assert.deepEqual(data, { key: 'value' });
+                    return provider.getDataFromUri('gs://myBucket/declaration', { as: 'string' });
+                })
+                .then((data) => {
+                    assert.strictEqual(data, 'key: value\n');
+                });
+        });
+
+        it('as json overrides content type test', () => {
+            objectMetadata = { contentType: 'text/plain' };
+
+            return provider.getDataFromUri('gs://myBucket/myFilename', { as: 'json' })
+                .then((data) => {
+                    assert.deepEqual(data, { key: 'value' });
+                    return provider.getDataFromUri('gs://myBucket/myFilename', { as: 'buffer' });
+                })
+                .then((data) => {
+                    assert.ok(Buffer.isBuffer(data));
+                });
+        });
+
+        it('unknown as test', () => {
+            return provider.getDataFromUri('gs://myBucket/myFilename', { as: 'xml' })
+                .catch((err) => { return err; })
+                .then((err) => {
+                    assert.strictEqual(err.message, 'Unknown data format xml');
+                });
+        });
+
+        it('invalid secret manager uri test', () => {
+            return provider.getDataFromUri('secretmanager://mySecret')
+                .catch((err) => { return err; })
+                .then((err) => {
+                    assert.strictEqual(
+                        err.message,
+                        'Invalid URI. Format should be ' +
+                        'secretmanager://projects/project/secrets/secret/versions/version'
+                    );
+                });
+        });
     });
 
     describe('deleteStoredObject tests', () => {
@@ -269,14 +676,83 @@ describe('failover tests', () => {
     });
 
     describe('ucs functions tests', () => {
+        // eslint-disable-next-line global-require
+        const stream = require('stream');
+
+        const stringDataChecksums = { crc32c: 'PSEH4A==', md5Hash: 'mSzooWh87IyL2IPsc8pB0Q==' };
+
+        let storedChecksums;
+        let uploadUris;
+        let failUploads;
+        let pins;
+
         beforeEach(() => {
+            storedChecksums = {};
+            uploadUris = [];
+            failUploads = 0;
+            pins = undefined;
+
             provider.storageBucket = {
                 file(fileName) {
+                    if (fileName === 'pins/backup') {
+                        return {
+                            getMetadata() {
+                                if (!pins) {
+                                    const err = new Error('No such object');
+                                    err.code = 404;
+                                    return q.reject(err);
+                                }
+                                return q([{ generation: 1, contentType: 'application/json' }]);
+                            },
+                            download() {
+                                return q([JSON.stringify(pins)]);
+                            }
+                        };
+                    }
+
                     passedParams.storageBucket.fileParams = fileName;
                     return {
-                        save(dataToWrite) {
-                            passedParams.storageBucket.fileSaveParams = dataToWrite;
-                            return q();
+                        createResumableUpload(options) {
+                            passedParams.storageBucket.uploadMetadata = options.metadata;
+                            return q(['uploadUri']);
+                        },
+                        createWriteStream(options) {
+                            const chunks = [];
+                            const writable = new stream.Writable({
+                                write(chunk, encoding, cb) {
+                                    chunks.push(chunk);
+                                    if (failUploads > 0) {
+                                        failUploads -= 1;
+                                        cb(new Error('connection reset'));
+                                        return;
+                                    }
+                                    cb();
+                                }
+                            });
+                            writable.on('finish', () => {
+                                passedParams.storageBucket.fileSaveParams = Buffer.concat(chunks).toString();
+                            });
+                            uploadUris.push(options.uri);
+                            return writable;
+                        },
+                        getMetadata() {
+                            return q([Object.assign(
+                                {
+                                    name: fileName,
+                                    generation: 1,
+                                    size: '11',
+                                    contentType: 'application/octet-stream'
+                                },
+                                storedChecksums[fileName] || stringDataChecksums
+                            )]);
+                        },
+                        download() {
+                            return q([Buffer.from('string data')]);
+                        },
+                        createReadStream() {
+                            const readable = new stream.PassThrough();
+                            readable.end('string data');
+                            return readable;
                         },
                         delete() {
                             storageBucketFileDeleteCalled = true;
@@ -291,43 +767,35 @@ describe('failover tests', () => {
                         [
                             [
                                 {
-                                    getMetadata() {
-                                        return [
-                                            {
-                                                name: 'backup/ucsAutosave_123.ucs',
-                                                updated: '2019-01-01T18:22:10.102Z'
-                                            }
-                                        ];
+                                    name: 'backup/ucsAutosave_123.ucs',
+                                    metadata: {
+                                        name: 'backup/ucsAutosave_123.ucs',
+                                        updated: '2019-01-01T18:22:10.102Z'
                                     }
                                 },
                                 {
-                                    getMetadata() {
-                                        return [
-                                            {
-                                                name: 'backup/ucsAutosave_234.ucs',
-                                                updated: '2019-01-02T18:22:10.102Z'
-                                            }
-                                        ];
+                                    name: 'backup/ucsAutosave_234.ucs',
+                                    metadata: {
+                                        name: 'backup/ucsAutosave_234.ucs',
+                                        updated: '2019-01-02T18:22:10.102Z',
+                                        size: '1024',
+                                        metadata: {
+                                            sourceInstance: 'vm1'
+                                        }
                                     }
                                 },
                                 {
-                                    getMetadata() {
-                                        return [
-                                            {
-                                                name: 'backup/ucsAutosave_345.ucs',
-                                                updated: '2019-01-03T18:22:10.102Z'
-                                            }
-                                        ];
+                                    name: 'backup/ucsAutosave_345.ucs',
+                                    metadata: {
+                                        name: 'backup/ucsAutosave_345.ucs',
+                                        updated: '2019-01-03T18:22:10.102Z'
                                     }
                                 },
                                 {
-                                    getMetadata() {
-                                        return [
-                                            {
-                                                name: 'backup/ucsAutosave_456.ucs',
-                                                updated: '2019-01-04T18:22:10.102Z'
-                                            }
-                                        ];
+                                    name: 'backup/ucsAutosave_456.ucs',
+                                    metadata: {
+                                        name: 'backup/ucsAutosave_456.ucs',
+                                        updated: '2019-01-04T18:22:10.102Z'
                                     }
                                 }
                             ],
@@ -337,7 +805,9 @@ describe('failover tests', () => {
             };
 
             fsMock.createReadStream = () => {
-                return 'string data';
+                const readable = new stream.PassThrough();
+                readable.end('string data');
+                return readable;
             };
         });
 
@@ -367,47 +837,333 @@ describe('failover tests', () => {
                 });
         });
 
-        it('store ucs delete oldest objects test', () => {
-            const ucsFileName = 'ucsAutosave_123.ucs';
-            const ucsFilePath = `/var/local/ucs/${ucsFileName}`;
+        it('store ucs pinned test', () => {
+            pins = { pinned: ['ucsAutosave_123.ucs'] };
 
-            return provider.storeUcs(ucsFilePath, 2, 'ucsAutosave_')
+            return provider.storeUcs('/var/local/ucs/ucsAutosave_123.ucs', 2, 'ucsAutosave_')
                 .then(() => {
-                    assert.deepEqual(passedParams.storageBucket.getFiles, { prefix: 'backup/' });
                     assert.deepEqual(
                         passedParams.storageBucket.fileDeleteParams,
-                        ['backup/ucsAutosave_123.ucs', 'backup/ucsAutosave_234.ucs']
+                        ['backup/ucsAutosave_234.ucs']
                     );
-                    assert.strictEqual(storageBucketFileDeleteCalled, true);
                 });
         });
-    });
 
-    describe('elect primary tests', () => {
-        it('basic test', () => {
-            const instances = {
-                1: {
-                    privateIp: '1.2.3.4',
-                    versionOk: true,
-                    providerVisible: true
-                },
-                2: {
-                    privateIp: '2.3.4.5',
-                    versionOk: true,
-                    providerVisible: true
-                }
-            };
+        it('store ucs prefix test', () => {
+            return provider.storeUcs('/var/local/ucs/ucsAutosave_123.ucs', 0, 'ucsAutosave_4')
+                .then(() => {
+                    assert.deepEqual(
+                        passedParams.storageBucket.fileDeleteParams,
+                        ['backup/ucsAutosave_456.ucs']
+                    );
+                });
+        });
 
-            return provider.electPrimary(instances)
-                .then((response) => {
-                    assert.strictEqual(response, '1');
+        it('store ucs retention policy test', () => {
+            provider.providerOptions = { ucsRetention: { daily: 2 } };
+
+            return provider.storeUcs('/var/local/ucs/ucsAutosave_123.ucs', 7, 'ucsAutosave_')
+                .then(() => {
+                    assert.deepEqual(
+                        passedParams.storageBucket.fileDeleteParams,
+                        ['backup/ucsAutosave_123.ucs', 'backup/ucsAutosave_234.ucs']
+                    );
                 });
         });
 
-        it('provider not visible test', () => {
-            const instances = {
-                1: {
-                    privateIp: '1.2.3.4',
+        it('store ucs source instance test', () => {
+            provider.instanceId = 'vm1';
+
+            return provider.storeUcs('/var/local/ucs/ucsAutosave_123.ucs', 7, 'ucsAutosave_')
+                .then(() => {
+                    assert.deepEqual(
+                        passedParams.storageBucket.uploadMetadata,
+                        {
+                            contentType: 'application/octet-stream',
+                            metadata: { sourceInstance: 'vm1' }
+                        }
+                    );
+                });
+        });
+
+        it('list stored ucs test', () => {
+            pins = { pinned: ['ucsAutosave_123.ucs'] };
+
+            return provider.listStoredUcs()
+                .then((backups) => {
+                    assert.deepEqual(
+                        backups.map((backup) => { return backup.name; }),
+                        [
+                            'ucsAutosave_456.ucs',
+                            'ucsAutosave_345.ucs',
+                            'ucsAutosave_234.ucs',
+                            'ucsAutosave_123.ucs'
+                        ]
+                    );
+                    assert.deepEqual(backups[2], {
+                        name: 'ucsAutosave_234.ucs',
+                        size: 1024,
+                        updated: '2019-01-02T18:22:10.102Z',
+                        sourceInstance: 'vm1',
+                        pinned: false
+                    });
+                    assert.strictEqual(backups[3].pinned, true);
+                });
+        });
+
+        it('get stored ucs by name test', () => {
+            return provider.getStoredUcs({ name: 'ucsAutosave_234.ucs' })
+                .then((ucsData) => {
+                    assert.strictEqual(passedParams.storageBucket.fileParams, 'backup/ucsAutosave_234.ucs');
+                    assert.strictEqual(ucsData.toString(), 'string data');
+                });
+        });
+
+        it('get stored ucs by name corrupt test', () => {
+            storedChecksums['backup/ucsAutosave_234.ucs'] = { crc32c: 'AAAAAA==' };
+
+            return provider.getStoredUcs({ name: 'ucsAutosave_234.ucs' })
+                .catch((err) => { return err; })
+                .then((err) => {
+                    assert.strictEqual(err.code, 'CHECKSUM_MISMATCH');
+                });
+        });
+
+        it('get stored ucs before test', () => {
+            return provider.getStoredUcs({ before: '2019-01-03T00:00:00.000Z' })
+                .then((ucsData) => {
+                    assert.strictEqual(passedParams.storageBucket.fileParams, 'backup/ucsAutosave_234.ucs');
+                    assert.strictEqual(ucsData.toString(), 'string data');
+                });
+        });
+
+        it('get stored ucs stream test', () => {
+            const progress = [];
+
+            return provider.getStoredUcs({ stream: true })
+                .then((ucsStream) => {
+                    const deferred = q.defer();
+                    const chunks = [];
+                    ucsStream
+                        .on('progress', (update) => {
+                            progress.push(update);
+                        })
+                        .on('data', (chunk) => {
+                            chunks.push(chunk);
+                        })
+                        .on('end', () => {
+                            deferred.resolve(Buffer.concat(chunks).toString());
+                        });
+                    return deferred.promise;
+                })
+                .then((data) => {
+                    assert.strictEqual(passedParams.storageBucket.fileParams, 'backup/ucsAutosave_456.ucs');
+                    assert.strictEqual(data, 'string data');
+                    assert.deepEqual(progress, [{ bytes: 11, totalBytes: 11 }]);
+                });
+        });
+
+        it('get stored ucs file path test', () => {
+            /* eslint-disable global-require */
+            const os = require('os');
+            const path = require('path');
+            /* eslint-enable global-require */
+            const filePath = path.join(os.tmpdir(), `gce-ucs-${process.pid}.ucs`);
+            const progress = [];
+            storedChecksums['backup/ucsAutosave_456.ucs'] = { crc32c: 'AAAAAA==' };
+
+            return provider.getStoredUcs({
+                filePath,
+                onProgress(update) {
+                    progress.push(update);
+                }
+            })
+                .then((writtenPath) => {
+                    assert.strictEqual(writtenPath, filePath);
+                    assert.strictEqual(passedParams.storageBucket.fileParams, 'backup/ucsAutosave_345.ucs');
+                    assert.strictEqual(fsMock.readFileSync(filePath).toString(), 'string data');
+                    assert.strictEqual(progress.length, 2);
+                })
+                .finally(() => {
+                    if (fsMock.existsSync(filePath)) {
+                        fsMock.unlinkSync(filePath);
+                    }
+                });
+        });
+
+        it('get stored object stream corrupt test', () => {
+            storedChecksums['backup/ucsAutosave_456.ucs'] = { crc32c: 'AAAAAA==' };
+
+            return provider.getStoredObject('backup/ucsAutosave_456.ucs', { stream: true, verify: true })
+                .then((objectStream) => {
+                    const deferred = q.defer();
+                    objectStream
+                        .on('error', (err) => {
+                            deferred.resolve(err);
+                        })
+                        .on('end', () => {
+                            deferred.reject(new Error('should have failed'));
+                        })
+                        .resume();
+                    return deferred.promise;
+                })
+                .then((err) => {
+                    assert.strictEqual(err.code, 'CHECKSUM_MISMATCH');
+                });
+        });
+
+        it('store ucs resume test', () => {
+            failUploads = 1;
+
+            return provider.storeUcs('/var/local/ucs/ucsAutosave_123.ucs', 7, 'ucsAutosave_')
+                .then(() => {
+                    assert.deepEqual(uploadUris, ['uploadUri', 'uploadUri']);
+                    assert.strictEqual(storageBucketFileDeleteCalled, false);
+                });
+        });
+
+        it('store ucs checksum mismatch test', () => {
+            storedChecksums['backup/ucsAutosave_123.ucs'] = { crc32c: 'AAAAAA==' };
+
+            return provider.storeUcs('/var/local/ucs/ucsAutosave_123.ucs', 7, 'ucsAutosave_')
+                .then(() => {
+                    assert.ok(false, 'should have rejected');
+                })
+                .catch((err) => {
+                    assert.notStrictEqual(err.message.indexOf('Checksum mismatch'), -1);
+                    assert.deepEqual(
+                        passedParams.storageBucket.fileDeleteParams,
+                        ['backup/ucsAutosave_123.ucs']
+                    );
+                });
+        });
+
+        it('get stored ucs test', () => {
+            return provider.getStoredUcs()
+                .then((ucsData) => {
+                    assert.strictEqual(passedParams.storageBucket.fileParams, 'backup/ucsAutosave_456.ucs');
+                    assert.strictEqual(ucsData.toString(), 'string data');
+                });
+        });
+
+        it('get stored ucs corrupt test', () => {
+            storedChecksums['backup/ucsAutosave_456.ucs'] = { crc32c: 'AAAAAA==', md5Hash: 'AAAAAA==' };
+
+            return provider.getStoredUcs()
+                .then((ucsData) => {
+                    assert.strictEqual(passedParams.storageBucket.fileParams, 'backup/ucsAutosave_345.ucs');
+                    assert.strictEqual(ucsData.toString(), 'string data');
+                });
+        });
+
+        it('store ucs delete oldest objects test', () => {
+            const ucsFileName = 'ucsAutosave_123.ucs';
+            const ucsFilePath = `/var/local/ucs/${ucsFileName}`;
+
+            return provider.storeUcs(ucsFilePath, 2, 'ucsAutosave_')
+                .then(() => {
+                    assert.deepEqual(passedParams.storageBucket.getFiles, { prefix: 'backup/' });
+                    assert.deepEqual(
+                        passedParams.storageBucket.fileDeleteParams,
+                        ['backup/ucsAutosave_123.ucs', 'backup/ucsAutosave_234.ucs']
+                    );
+                    assert.strictEqual(storageBucketFileDeleteCalled, true);
+                });
+        });
+    });
+
+    describe('ucs retention tests', () => {
+        let ucsRetention;
+
+        const backup = function (name, updated) {
+            return { name, updated };
+        };
+
+        beforeEach(() => {
+            // eslint-disable-next-line global-require
+            ucsRetention = require('../../lib/ucsRetention');
+        });
+
+        it('grandfather father son test', () => {
+            const backups = [
+                backup('mon1', '2019-01-07T01:00:00.000Z'),
+                backup('mon2', '2019-01-07T02:00:00.000Z'),
+                backup('tue1', '2019-01-08T01:00:00.000Z'),
+                backup('tue2', '2019-01-08T01:30:00.000Z'),
+                backup('tue3', '2019-01-08T02:00:00.000Z'),
+                backup('sun', '2019-01-13T23:00:00.000Z'),
+                backup('lastWeek', '2019-01-02T00:00:00.000Z'),
+                backup('twoWeeksAgo', '2018-12-26T00:00:00.000Z')
+            ];
+
+            const expired = ucsRetention.selectExpired(backups, { hourly: 2, daily: 2, weekly: 2 });
+            assert.deepEqual(
+                expired.map((expiredBackup) => { return expiredBackup.name; }),
+                ['twoWeeksAgo', 'mon1', 'mon2', 'tue1', 'tue2']
+            );
+        });
+
+        it('max age test', () => {
+            const now = new Date('2019-01-10T00:00:00.000Z');
+            const backups = [
+                backup('old', '2019-01-08T00:00:00.000Z'),
+                backup('new', '2019-01-09T12:00:00.000Z')
+            ];
+
+            const expired = ucsRetention.selectExpired(backups, { maxAgeSeconds: 24 * 60 * 60 }, now);
+            assert.deepEqual(expired, [backups[0]]);
+        });
+
+        it('pin test', () => {
+            const directory = makeTempDirectory();
+
+            return provider.init({ storageBackend: 'local', localStorageDir: directory })
+                .then(() => {
+                    return provider.pinStoredUcs('a.ucs');
+                })
+                .then(() => {
+                    return provider.pinStoredUcs('b.ucs');
+                })
+                .then(() => {
+                    return provider.unpinStoredUcs('a.ucs');
+                })
+                .then(() => {
+                    return provider.storageBackend.get('pins/backup');
+                })
+                .then((result) => {
+                    assert.deepEqual(result.data, { pinned: ['b.ucs'] });
+                })
+                .finally(() => {
+                    removeDirectory(directory);
+                });
+        });
+    });
+
+    describe('elect primary tests', () => {
+        it('basic test', () => {
+            const instances = {
+                1: {
+                    privateIp: '1.2.3.4',
+                    versionOk: true,
+                    providerVisible: true
+                },
+                2: {
+                    privateIp: '2.3.4.5',
+                    versionOk: true,
+                    providerVisible: true
+                }
+            };
+
+            return provider.electPrimary(instances)
+                .then((response) => {
+                    assert.strictEqual(response, '1');
+                });
+        });
+
+        it('provider not visible test', () => {
+            const instances = {
+                1: {
+                    privateIp: '1.2.3.4',
                     versionOk: true,
                     providerVisible: false
                 },
@@ -466,337 +1222,2113 @@ describe('failover tests', () => {
         });
     });
 
-    it('get instance id test', () => {
-        return provider.getInstanceId()
-            .then((response) => {
-                assert.strictEqual(response, instanceId);
-            });
-    });
+    describe('election strategy tests', () => {
+        const instances = {
+            'bigip-a': {
+                privateIp: '10.0.0.1',
+                versionOk: true,
+                providerVisible: true
+            },
+            'bigip-b': {
+                privateIp: '10.0.0.2',
+                versionOk: true,
+                providerVisible: true
+            },
+            'bigip-c': {
+                privateIp: '10.0.0.3',
+                versionOk: true,
+                providerVisible: false
+            }
+        };
+        const vmMetadata = {
+            'bigip-a': {
+                creationTimestamp: '2019-01-02T00:00:00.000-07:00',
+                labels: {},
+                zone: `https://foo/zones/${region}-a`
+            },
+            'bigip-b': {
+                creationTimestamp: '2019-01-01T00:00:00.000-07:00',
+                labels: { 'primary-priority': '10' },
+                zone: `https://foo/zones/${region}-b`
+            },
+            'bigip-c': {
+                creationTimestamp: '2018-01-01T00:00:00.000-07:00',
+                labels: { 'primary-priority': '20' },
+                zone: `https://foo/zones/${region}-c`
+            }
+        };
 
-    describe('get instances tests', () => {
         beforeEach(() => {
-            computeMock.zone = function zone() {
-                return {
-                    instanceGroup() {
-                        return {
-                            getVMs() {
-                                return [
-                                    [
-                                        vm1
-                                    ]
-                                ];
-                            }
-                        };
-                    }
-                };
-            };
-
-            provider.providerOptions = {
-                instanceGroup: 'foo'
-            };
-
-            provider.storageBucket = {
-                getFiles() {
-                    return q([
-                        [
-                            {
-                                download() {
-                                    return [
-                                        JSON.stringify(instance1)
-                                    ];
-                                },
+            provider.compute = {
+                zone() {
+                    return {
+                        vm(name) {
+                            return {
                                 getMetadata() {
-                                    return [
-                                        {
-                                            name: 'instances/vm1'
-                                        }
-                                    ];
+                                    return q([vmMetadata[name]]);
                                 }
-                            }
-                        ]
-                    ]);
+                            };
+                        }
+                    };
                 }
             };
+        });
 
-            provider.compute = computeMock;
+        it('oldest test', () => {
+            provider.providerOptions = { electionStrategy: 'oldest' };
+            return provider.electPrimary(instances)
+                .then((response) => {
+                    assert.strictEqual(response, 'bigip-b');
+                });
         });
 
-        it('basic test', () => {
-            return provider.getInstances()
+        it('label priority test', () => {
+            provider.providerOptions = { electionStrategy: 'labelPriority' };
+            return provider.electPrimary(instances)
                 .then((response) => {
-                    assert.strictEqual(Object.keys(response).length, 1);
-                    assert.deepEqual(response.vm1.id, instance1.id);
-                    assert.deepEqual(response.vm1.isPrimary, instance1.isPrimary);
+                    assert.strictEqual(response, 'bigip-b');
                 });
         });
 
-        it('external instances test', () => {
-            computeMock.zone = function zone() {
-                return {
-                    instanceGroup() {
-                        return {
-                            getVMs() {
-                                return [
-                                    [
-                                        vm1
-                                    ]
-                                ];
-                            }
-                        };
-                    }
-                };
+        it('preferred zone test', () => {
+            provider.providerOptions = {
+                electionStrategy: 'preferredZone',
+                electionPreferredZones: [`${region}-c`, `${region}-b`]
             };
+            return provider.electPrimary(instances)
+                .then((response) => {
+                    assert.strictEqual(response, 'bigip-b');
+                });
+        });
 
-            provider.getVmsByTag = function getVmsByTag() {
-                return q([
-                    {
-                        id: 'vm2',
-                        ip: {
-                            public: '10.11.12.13',
-                            private: '15.16.17.18'
+        it('external instance test', () => {
+            const vmsLookedUp = [];
+            const vm = provider.compute.zone().vm;
+            provider.compute = {
+                zone() {
+                    return {
+                        vm(name) {
+                            vmsLookedUp.push(name);
+                            return vm(name);
                         }
-                    }
-                ]);
+                    };
+                }
             };
+            provider.providerOptions = { electionStrategy: 'oldest' };
 
-            return provider.getInstances({ externalTag: 'foo' })
+            return provider.electPrimary(Object.assign({}, instances, {
+                'byol-a': {
+                    privateIp: '10.0.0.0',
+                    versionOk: true,
+                    providerVisible: true,
+                    external: true
+                }
+            }))
                 .then((response) => {
-                    assert.strictEqual(Object.keys(response).length, 2);
-                    assert.deepEqual(response.vm2.external, true);
+                    assert.strictEqual(response, 'bigip-b');
+                    assert.deepEqual(vmsLookedUp.sort(), ['bigip-a', 'bigip-b']);
                 });
         });
 
-        it('missing instances test', () => {
-            provider.storageBucket = {
-                getFiles() {
-                    return q([[]]);
-                }
+        it('tie break test', () => {
+            provider.providerOptions = {
+                electionStrategy: 'preferredZone',
+                electionPreferredZones: []
             };
-
-            return provider.getInstances()
+            return provider.electPrimary(instances)
                 .then((response) => {
-                    assert.strictEqual(Object.keys(response).length, 1);
-                    assert.deepEqual(response.vm1.privateIp, '1.2.3.4');
+                    assert.strictEqual(response, 'bigip-a');
                 });
         });
-    });
 
-    it('get messages test', () => {
-        const message1 = 'i am message 1';
-        const message2 = 'i am message 2';
+        it('custom strategy test', () => {
+            let candidatesPassed;
+            provider.providerOptions = {
+                electionStrategy(candidates) {
+                    candidatesPassed = candidates;
+                    return candidates[candidates.length - 1].id;
+                }
+            };
+            return provider.electPrimary(instances)
+                .then((response) => {
+                    assert.strictEqual(candidatesPassed.length, 2);
+                    assert.strictEqual(
+                        candidatesPassed[1].creationTimestamp,
+                        vmMetadata['bigip-b'].creationTimestamp
+                    );
+                    assert.strictEqual(response, 'bigip-b');
+                });
+        });
 
-        provider.pubSub = {
-            pull() {
-                return q(
-                    [
-                        {
-                            toInstanceId: '1',
-                            message: message1
-                        },
-                        {
-                            toInstanceId: '2',
-                            message: message2
-                        }
-                    ]
-                );
-            }
-        };
+        it('custom strategy ineligible test', () => {
+            provider.providerOptions = {
+                electionStrategy() {
+                    return 'bigip-c';
+                }
+            };
+            return provider.electPrimary(instances)
+                .then(() => {
+                    assert.ok(false, 'should have thrown ineligible instance');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.message, 'election strategy chose ineligible instance bigip-c');
+                });
+        });
 
-        return provider.getMessages([CloudProvider.MESSAGE_SYNC_COMPLETE], { toInstanceId: '1' })
+        it('unknown strategy test', () => {
+            provider.providerOptions = { electionStrategy: 'foo' };
+            return provider.electPrimary(instances)
+                .then(() => {
+                    assert.ok(false, 'should have thrown unknown strategy');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.message, 'Unknown election strategy foo');
+                });
+        });
+    });
+
+    it('get instance id test', () => {
+        return provider.getInstanceId()
             .then((response) => {
-                assert.strictEqual(response.length, 1);
-                assert.strictEqual(response[0].message, message1);
+                assert.strictEqual(response, instanceId);
             });
     });
 
-    describe('get nics by tag tests', () => {
-        it('basic test', () => {
-            return provider.getNicsByTag('foo')
+    describe('metadata tests', () => {
+        const getDataFromUrl = function getDataFromUrl(url) {
+            passedParams.metadataUrls.push(url);
+            return q(instanceId);
+        };
+
+        beforeEach(() => {
+            passedParams.metadataUrls = [];
+            cloudUtilMock.getDataFromUrl = getDataFromUrl;
+        });
+
+        afterEach(() => {
+            delete process.env.GCE_METADATA_HOST;
+        });
+
+        it('caches immutable entries test', () => {
+            return provider.getInstanceId()
+                .then(() => {
+                    return provider.getInstanceId();
+                })
                 .then((response) => {
-                    assert.strictEqual(response.length, 0);
+                    assert.strictEqual(response, instanceId);
+                    assert.strictEqual(passedParams.metadataUrls.length, 1);
+                });
+        });
+
+        it('metadata host test', () => {
+            process.env.GCE_METADATA_HOST = 'localhost:8080';
+            return provider.getInstanceId()
+                .then(() => {
+                    assert.strictEqual(
+                        passedParams.metadataUrls[0],
+                        'http://localhost:8080/computeMetadata/v1/instance/name'
+                    );
+                });
+        });
+
+        it('retries transient failures test', () => {
+            let numCalls = 0;
+            cloudUtilMock.getDataFromUrl = function failOnce(url) {
+                numCalls += 1;
+                if (numCalls === 1) {
+                    return q.reject(new Error('ECONNRESET'));
+                }
+                return getDataFromUrl(url);
+            };
+
+            return provider.getInstanceId()
+                .then((response) => {
+                    assert.strictEqual(response, instanceId);
+                    assert.strictEqual(numCalls, 2);
                 });
         });
     });
 
-    describe('get vms by tag tests', () => {
-        it('basic test', () => {
-            const myTag = {
-                key: 'foo',
-                value: 'bar'
+    describe('token manager tests', () => {
+        let TokenManager;
+        let httpUtilMock;
+        let tokenUrls;
+        let tokens;
+
+        beforeEach(() => {
+            /* eslint-disable global-require */
+            httpUtilMock = require('@f5devcentral/f5-cloud-libs').httpUtil;
+            TokenManager = require('../../src/gcClients/tokenManager');
+            /* eslint-enable global-require */
+
+            tokenUrls = [];
+            tokens = [
+                { access_token: 'token1', expires_in: 3600 },
+                { access_token: 'token2', expires_in: 3600 }
+            ];
+            cloudUtilMock.getDataFromUrl = function getDataFromUrl(url) {
+                tokenUrls.push(url);
+                return q(tokens[tokenUrls.length - 1]);
             };
-            const vmId = 'vm1';
-            const privateIp = '1.2.3.4';
-            const publicIp = '5.6.7.8';
+        });
 
-            let passedOptions;
+        it('caches token test', () => {
+            const tokenManager = new TokenManager();
+            return tokenManager.getToken()
+                .then(() => {
+                    return tokenManager.getToken();
+                })
+                .then((token) => {
+                    assert.strictEqual(token, 'token1');
+                    assert.strictEqual(tokenUrls.length, 1);
+                    assert.ok(tokenUrls[0].endsWith('instance/service-accounts/default/token'));
+                });
+        });
 
-            provider.region = region;
+        it('refresh before expiry margin test', () => {
+            // expires in 4 minutes, inside the default 5 minute margin
+            tokens[0].expires_in = 240;
+            const tokenManager = new TokenManager();
+            return tokenManager.getToken()
+                .then(() => {
+                    return tokenManager.getToken();
+                })
+                .then((token) => {
+                    assert.strictEqual(token, 'token2');
+                    assert.strictEqual(tokenUrls.length, 2);
+                });
+        });
 
-            provider.compute.getVMs = function getVMs(options) {
-                passedOptions = options;
-                return new Promise((resolve) => {
-                    resolve([[
-                        {
-                            id: vmId,
-                            name: vmId,
-                            zone: {
-                                id: `${region}-a`
-                            },
-                            metadata: {
-                                networkInterfaces: [
-                                    {
-                                        networkIP: privateIp,
-                                        accessConfigs: [
-                                            {
-                                                natIP: publicIp
-                                            }
-                                        ]
-                                    }
-                                ]
-                            },
-                            getMetadata() {
-                                return q([this.metadata]);
-                            }
-                        }
-                    ]]);
+        it('refresh margin option test', () => {
+            tokens[0].expires_in = 240;
+            const tokenManager = new TokenManager({ refreshMarginMs: 60 * 1000 });
+            return tokenManager.getToken()
+                .then(() => {
+                    return tokenManager.getToken();
+                })
+                .then((token) => {
+                    assert.strictEqual(token, 'token1');
+                    assert.strictEqual(tokenUrls.length, 1);
                 });
+        });
+
+        it('concurrent refresh test', () => {
+            const deferred = q.defer();
+            cloudUtilMock.getDataFromUrl = function getDataFromUrl(url) {
+                tokenUrls.push(url);
+                return deferred.promise;
             };
 
-            return provider.getVmsByTag(myTag)
+            const tokenManager = new TokenManager();
+            const promises = [tokenManager.getToken(), tokenManager.getToken(), tokenManager.getToken()];
+            deferred.resolve(tokens[0]);
+
+            return q.all(promises)
+                .then((results) => {
+                    assert.deepEqual(results, ['token1', 'token1', 'token1']);
+                    assert.strictEqual(tokenUrls.length, 1);
+                });
+        });
+
+        it('retry after unauthorized test', () => {
+            const authorizations = [];
+            httpUtilMock.request = function request(method, url, options) {
+                authorizations.push(options.headers.Authorization);
+                if (authorizations.length === 1) {
+                    return q.reject(new Error('request failed with status code 401'));
+                }
+                return q({ foo: 'bar' });
+            };
+
+            const tokenManager = new TokenManager();
+            return tokenManager.request('GET', 'https://www.googleapis.com/foo')
                 .then((response) => {
-                    assert.deepEqual(passedOptions, { filter: `labels.${myTag.key} eq ${myTag.value}` });
-                    assert.deepEqual(
-                        response[0],
-                        {
-                            id: vmId,
-                            ip: {
-                                public: publicIp,
-                                private: privateIp
-                            }
-                        }
-                    );
+                    assert.deepEqual(response, { foo: 'bar' });
+                    assert.deepEqual(authorizations, ['Bearer token1', 'Bearer token2']);
                 });
         });
 
-        it('no results test', () => {
-            const myTag = {
-                key: 'foo',
-                value: 'bar'
+        it('retry only once test', () => {
+            let numRequests = 0;
+            httpUtilMock.request = function request() {
+                numRequests += 1;
+                return q.reject(new Error('request failed with status code 401'));
             };
 
-            provider.compute.getVMs = function getVms() {
-                return new Promise((resolve) => {
-                    resolve([[]]);
+            const tokenManager = new TokenManager();
+            return tokenManager.request('GET', 'https://www.googleapis.com/foo')
+                .then(() => {
+                    assert.ok(false, 'should have rejected');
+                })
+                .catch((err) => {
+                    assert.notStrictEqual(err.message.indexOf('status code 401'), -1);
+                    assert.strictEqual(numRequests, 2);
+                    assert.strictEqual(tokenUrls.length, 2);
                 });
+        });
+
+        it('no retry on other errors test', () => {
+            let numRequests = 0;
+            httpUtilMock.request = function request() {
+                numRequests += 1;
+                return q.reject(new Error('request failed with status code 403'));
             };
 
-            return provider.getVmsByTag(myTag)
-                .then((response) => {
-                    assert.strictEqual(response.length, 0);
+            const tokenManager = new TokenManager();
+            return tokenManager.request('GET', 'https://www.googleapis.com/foo')
+                .then(() => {
+                    assert.ok(false, 'should have rejected');
+                })
+                .catch(() => {
+                    assert.strictEqual(numRequests, 1);
+                    assert.strictEqual(tokenUrls.length, 1);
                 });
         });
+    });
 
-        it('bad tag test', () => {
-            const myTag = 'foo';
+    describe('pub sub tests', () => {
+        let PubSub;
+        let httpUtilMock;
+        let requestUrls;
 
-            return provider.getVmsByTag(myTag)
-                .catch((err) => { return err; })
-                .then((err) => {
-                    assert.strictEqual(err.message, 'Tag with key and value must be provided');
+        beforeEach(() => {
+            /* eslint-disable global-require */
+            httpUtilMock = require('@f5devcentral/f5-cloud-libs').httpUtil;
+            PubSub = require('../../src/gcClients/pubSub');
+            /* eslint-enable global-require */
+
+            requestUrls = [];
+            cloudUtilMock.getDataFromUrl = function getDataFromUrl() {
+                return q({ access_token: 'token1', expires_in: 3600 });
+            };
+        });
+
+        it('get topics pagination test', () => {
+            httpUtilMock.request = function request(method, url) {
+                requestUrls.push(url);
+                if (requestUrls.length === 1) {
+                    return q({ topics: [{ name: 'topic1' }, { name: 'topic2' }], nextPageToken: 'page+2' });
+                }
+                return q({ topics: [{ name: 'topic3' }] });
+            };
+
+            const pubSub = new PubSub('default', { projectId, pageSize: 2 });
+            return pubSub.getTopics()
+                .then((data) => {
+                    assert.deepEqual(data[0], [{ name: 'topic1' }, { name: 'topic2' }, { name: 'topic3' }]);
+                    const topicsUrl = `https://pubsub.googleapis.com/v1/projects/${projectId}/topics`;
+                    assert.deepEqual(requestUrls, [
+                        `${topicsUrl}?pageSize=2`,
+                        `${topicsUrl}?pageSize=2&pageToken=page%2B2`
+                    ]);
                 });
         });
 
-        it('test getVMs error handling', () => {
-            const myTag = {
-                key: 'foo',
-                value: 'bar'
+        it('get subscriptions pagination test', () => {
+            httpUtilMock.request = function request(method, url) {
+                requestUrls.push(url);
+                if (requestUrls.length === 1) {
+                    return q({ subscriptions: ['sub1'], nextPageToken: 'page2' });
+                }
+                return q({ subscriptions: ['sub2'] });
             };
 
-            provider.compute.getVMs = function getVms() {
-                return new Promise((resolve, reject) => {
-                    reject(new Error('uh oh'));
+            const pubSub = new PubSub('default', { projectId });
+            return pubSub.getSubscriptions({ topic: 'myTopic' })
+                .then((data) => {
+                    assert.deepEqual(data[0], ['sub1', 'sub2']);
+                    assert.strictEqual(requestUrls.length, 2);
+                    assert.ok(requestUrls[0].endsWith('/topics/myTopic/subscriptions'));
+                    assert.ok(requestUrls[1].endsWith('/topics/myTopic/subscriptions?pageToken=page2'));
                 });
+        });
+
+        it('get topics error test', () => {
+            httpUtilMock.request = function request() {
+                return q.reject(new Error('request failed with status code 403'));
             };
 
-            return provider.getVmsByTag(myTag)
-                .catch((err) => { return err; })
-                .then((err) => {
-                    assert.strictEqual(err.message, 'uh oh');
+            const pubSub = new PubSub('default', { projectId });
+            return pubSub.getTopics()
+                .then(() => {
+                    assert.ok(false, 'should have rejected');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.message, 'request failed with status code 403');
                 });
         });
-    });
 
-    describe('tag primary tests', () => {
-        beforeEach(() => {
-            const instances = {
-                'bigip-bf4b': {
-                    tags: [
-                        'other-tag'
-                    ]
-                },
-                'bigip-jjzs': {
-                    tags: [
-                        'other-tag', 'foo-primary'
-                    ]
-                },
-                'bigip-uuio': {
-                    tags: [
-                        'other-tag'
-                    ]
+        it('get subscriptions error test', () => {
+            httpUtilMock.request = function request() {
+                return q.reject(new Error('request failed with status code 403'));
+            };
+
+            const pubSub = new PubSub('default', { projectId });
+            return pubSub.getSubscriptions({ topic: 'myTopic' })
+                .then(() => {
+                    assert.ok(false, 'should have rejected');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.message, 'request failed with status code 403');
+                });
+        });
+
+        it('compute pagination test', () => {
+            // eslint-disable-next-line global-require
+            const pagination = require('../../src/gcClients/pagination');
+            const sendGet = function (path) {
+                requestUrls.push(path);
+                if (requestUrls.length === 1) {
+                    return q({ items: ['rule1'], nextPageToken: 'page2' });
                 }
+                return q({ items: ['rule2'] });
             };
 
+            return pagination.getAllPages(
+                sendGet,
+                'regions/aRegion/forwardingRules',
+                { pageSize: 5, pageSizeParam: 'maxResults' }
+            )
+                .then((pages) => {
+                    assert.deepEqual(pages, [
+                        { items: ['rule1'], nextPageToken: 'page2' },
+                        { items: ['rule2'] }
+                    ]);
+                    assert.deepEqual(requestUrls, [
+                        'regions/aRegion/forwardingRules?maxResults=5',
+                        'regions/aRegion/forwardingRules?maxResults=5&pageToken=page2'
+                    ]);
+                });
+        });
+    });
+
+    describe('get instances tests', () => {
+        beforeEach(() => {
             computeMock.zone = function zone() {
                 return {
-                    vm(name) {
+                    instanceGroup() {
                         return {
-                            name,
-                            getTags() {
+                            getVMs() {
                                 return [
-                                    instances[name].tags,
-                                    'fingerprint',
-                                    { name }
+                                    [
+                                        vm1
+                                    ]
                                 ];
-                            },
-                            setTags(tags, fingerprint) {
-                                vmSetTagsParams[name] = {
-                                    tags,
-                                    fingerprint
-                                };
-                                return q();
                             }
                         };
                     }
                 };
             };
 
-            provider.compute = computeMock;
-        });
-
-        it('tag primary instance test', () => {
-            provider.providerOptions = {
-                instanceGroup: 'foo'
+            provider.providerOptions = {
+                instanceGroup: 'foo'
+            };
+
+            provider.storageBucket = {
+                getFiles() {
+                    return q([
+                        [
+                            {
+                                download() {
+                                    return [
+                                        JSON.stringify(instance1)
+                                    ];
+                                },
+                                name: 'instances/vm1',
+                                metadata: {
+                                    contentType: 'application/json'
+                                }
+                            }
+                        ]
+                    ]);
+                }
+            };
+
+            provider.compute = computeMock;
+        });
+
+        it('basic test', () => {
+            return provider.getInstances()
+                .then((response) => {
+                    assert.strictEqual(Object.keys(response).length, 1);
+                    assert.deepEqual(response.vm1.id, instance1.id);
+                    assert.deepEqual(response.vm1.isPrimary, instance1.isPrimary);
+                });
+        });
+
+        it('external instances test', () => {
+            computeMock.zone = function zone() {
+                return {
+                    instanceGroup() {
+                        return {
+                            getVMs() {
+                                return [
+                                    [
+                                        vm1
+                                    ]
+                                ];
+                            }
+                        };
+                    }
+                };
+            };
+
+            provider.getVmsByTag = function getVmsByTag() {
+                return q([
+                    {
+                        id: 'vm2',
+                        ip: {
+                            public: '10.11.12.13',
+                            private: '15.16.17.18'
+                        }
+                    }
+                ]);
+            };
+
+            return provider.getInstances({ externalTag: 'foo' })
+                .then((response) => {
+                    assert.strictEqual(Object.keys(response).length, 2);
+                    assert.deepEqual(response.vm2.external, true);
+                });
+        });
+
+        it('regional instance group test', () => {
+            const zonesPassed = [];
+            let uriPassed;
+
+            provider.region = region;
+            provider.providerOptions.regionalInstanceGroup = true;
+            provider.compute = {
+                request(reqOpts, cb) {
+                    uriPassed = reqOpts.uri;
+                    cb(null, {
+                        items: [
+                            {
+                                instance: `https://foo/projects/aProject/zones/${region}-b/instances/vm1`,
+                                status: 'RUNNING'
+                            }
+                        ]
+                    });
+                },
+                zone(zoneId) {
+                    zonesPassed.push(zoneId);
+                    return {
+                        vm(url) {
+                            return {
+                                name: url.substr(url.lastIndexOf('/') + 1),
+                                getMetadata: vm1.getMetadata
+                            };
+                        }
+                    };
+                }
+            };
+
+            return provider.getInstances()
+                .then((response) => {
+                    assert.strictEqual(uriPassed, `/regions/${region}/instanceGroups/foo/listInstances`);
+                    assert.deepEqual(zonesPassed, [`${region}-b`]);
+                    assert.strictEqual(provider.vmZones.vm1, `${region}-b`);
+                    assert.strictEqual(response.vm1.providerVisible, true);
+                });
+        });
+
+        it('regional instance group pagination test', () => {
+            const urisPassed = [];
+
+            provider.region = region;
+            provider.providerOptions.regionalInstanceGroup = true;
+            provider.providerOptions.pageSize = 1;
+            provider.compute = {
+                request(reqOpts, cb) {
+                    urisPassed.push(reqOpts.uri);
+                    const secondPage = reqOpts.uri.indexOf('pageToken=') !== -1;
+                    const name = secondPage ? 'vm2' : 'vm1';
+                    cb(null, {
+                        items: [
+                            {
+                                instance: `https://foo/projects/aProject/zones/${region}-a/instances/${name}`,
+                                status: 'RUNNING'
+                            }
+                        ],
+                        nextPageToken: secondPage ? undefined : 'page2'
+                    });
+                },
+                zone() {
+                    return {
+                        vm(url) {
+                            return {
+                                name: url.substr(url.lastIndexOf('/') + 1),
+                                getMetadata: vm1.getMetadata
+                            };
+                        }
+                    };
+                }
+            };
+
+            return provider.getInstances()
+                .then((response) => {
+                    const uri = `/regions/${region}/instanceGroups/foo/listInstances`;
+                    assert.deepEqual(urisPassed, [
+                        `${uri}?maxResults=1`,
+                        `${uri}?maxResults=1&pageToken=page2`
+                    ]);
+                    assert.strictEqual(response.vm1.providerVisible, true);
+                    assert.strictEqual(response.vm2.providerVisible, true);
+                });
+        });
+
+        it('missing instances test', () => {
+            provider.storageBucket = {
+                getFiles() {
+                    return q([[]]);
+                }
+            };
+
+            return provider.getInstances()
+                .then((response) => {
+                    assert.strictEqual(Object.keys(response).length, 1);
+                    assert.deepEqual(response.vm1.privateIp, '1.2.3.4');
+                });
+        });
+    });
+
+    it('get messages test', () => {
+        const message1 = 'i am message 1';
+        const message2 = 'i am message 2';
+
+        provider.pubSub = {
+            pull() {
+                return q(
+                    [
+                        {
+                            toInstanceId: '1',
+                            message: message1
+                        },
+                        {
+                            toInstanceId: '2',
+                            message: message2
+                        }
+                    ]
+                );
+            }
+        };
+
+        return provider.getMessages([CloudProvider.MESSAGE_SYNC_COMPLETE], { toInstanceId: '1' })
+            .then((response) => {
+                assert.strictEqual(response.length, 1);
+                assert.strictEqual(response[0].message, message1);
+            });
+    });
+
+    describe('get nics by tag tests', () => {
+        it('basic test', () => {
+            return provider.getNicsByTag('foo')
+                .then((response) => {
+                    assert.strictEqual(response.length, 0);
+                });
+        });
+    });
+
+    describe('get vms by tag tests', () => {
+        it('basic test', () => {
+            const myTag = {
+                key: 'foo',
+                value: 'bar'
+            };
+            const vmId = 'vm1';
+            const privateIp = '1.2.3.4';
+            const publicIp = '5.6.7.8';
+
+            let passedOptions;
+
+            provider.region = region;
+
+            provider.compute.getVMs = function getVMs(options) {
+                passedOptions = options;
+                return new Promise((resolve) => {
+                    resolve([[
+                        {
+                            id: vmId,
+                            name: vmId,
+                            zone: {
+                                id: `${region}-a`
+                            },
+                            metadata: {
+                                networkInterfaces: [
+                                    {
+                                        networkIP: privateIp,
+                                        accessConfigs: [
+                                            {
+                                                natIP: publicIp
+                                            }
+                                        ]
+                                    }
+                                ]
+                            },
+                            getMetadata() {
+                                return q([this.metadata]);
+                            }
+                        }
+                    ]]);
+                });
+            };
+
+            return provider.getVmsByTag(myTag)
+                .then((response) => {
+                    assert.deepEqual(passedOptions, { filter: `labels.${myTag.key} eq ${myTag.value}` });
+                    assert.deepEqual(
+                        response[0],
+                        {
+                            id: vmId,
+                            ip: {
+                                public: publicIp,
+                                private: privateIp
+                            }
+                        }
+                    );
+                });
+        });
+
+        it('no results test', () => {
+            const myTag = {
+                key: 'foo',
+                value: 'bar'
+            };
+
+            provider.compute.getVMs = function getVms() {
+                return new Promise((resolve) => {
+                    resolve([[]]);
+                });
+            };
+
+            return provider.getVmsByTag(myTag)
+                .then((response) => {
+                    assert.strictEqual(response.length, 0);
+                });
+        });
+
+        it('bad tag test', () => {
+            const myTag = 'foo';
+
+            return provider.getVmsByTag(myTag)
+                .catch((err) => { return err; })
+                .then((err) => {
+                    assert.strictEqual(err.message, 'Tag with key and value must be provided');
+                });
+        });
+
+        it('test getVMs error handling', () => {
+            const myTag = {
+                key: 'foo',
+                value: 'bar'
+            };
+
+            provider.compute.getVMs = function getVms() {
+                return new Promise((resolve, reject) => {
+                    reject(new Error('uh oh'));
+                });
+            };
+
+            return provider.getVmsByTag(myTag)
+                .catch((err) => { return err; })
+                .then((err) => {
+                    assert.strictEqual(err.message, 'uh oh');
+                });
+        });
+    });
+
+    describe('tag primary tests', () => {
+        beforeEach(() => {
+            const instances = {
+                'bigip-bf4b': {
+                    tags: [
+                        'other-tag'
+                    ]
+                },
+                'bigip-jjzs': {
+                    tags: [
+                        'other-tag', 'foo-primary'
+                    ]
+                },
+                'bigip-uuio': {
+                    tags: [
+                        'other-tag'
+                    ]
+                }
+            };
+
+            computeMock.zone = function zone() {
+                return {
+                    vm(name) {
+                        return {
+                            name,
+                            getTags() {
+                                return [
+                                    instances[name].tags,
+                                    'fingerprint',
+                                    { name }
+                                ];
+                            },
+                            setTags(tags, fingerprint) {
+                                vmSetTagsParams[name] = {
+                                    tags,
+                                    fingerprint
+                                };
+                                return q();
+                            }
+                        };
+                    }
+                };
+            };
+
+            provider.compute = computeMock;
+        });
+
+        it('tag primary instance test', () => {
+            provider.providerOptions = {
+                instanceGroup: 'foo'
+            };
+
+            const primaryIid = 'bigip-bf4b';
+            const instances = {
+                'bigip-bf4b': {
+                    privateIp: '10.0.2.11'
+                },
+                'bigip-jjzs': {
+                    privateIp: '10.0.2.11'
+                },
+                'bigip-uuio': {
+                    privateIp: '10.0.2.12'
+                }
+            };
+
+            return provider.tagPrimaryInstance(primaryIid, instances)
+                .then(() => {
+                    assert.strictEqual(vmSetTagsParams['bigip-uuio'], undefined);
+                    assert.strictEqual(vmSetTagsParams['bigip-jjzs'].tags.indexOf('foo-primary'), -1);
+                    assert.notStrictEqual(vmSetTagsParams[primaryIid].tags.indexOf('foo-primary'), -1);
+                    assert.strictEqual(vmSetTagsParams[primaryIid].fingerprint, 'fingerprint');
+                });
+        });
+    });
+
+    describe('put instance tests', () => {
+        let objects;
+        let beforeSave;
+
+        beforeEach(() => {
+            objects = {};
+            beforeSave = undefined;
+
+            provider.storageBucket = {
+                file(fileName, options) {
+                    const generation = options ? options.generation : undefined;
+                    return {
+                        getMetadata() {
+                            if (!objects[fileName]) {
+                                const err = new Error('No such object');
+                                err.code = 404;
+                                return q.reject(err);
+                            }
+                            return q([{
+                                generation: objects[fileName].generation,
+                                contentType: 'application/json'
+                            }]);
+                        },
+                        download() {
+                            return q([objects[fileName].contents]);
+                        },
+                        save(data) {
+                            if (beforeSave) {
+                                beforeSave(fileName);
+                            }
+                            const current = objects[fileName];
+                            const currentGeneration = current ? current.generation : 0;
+                            if (String(generation) !== String(currentGeneration)) {
+                                const err = new Error('Precondition Failed');
+                                err.code = 412;
+                                return q.reject(err);
+                            }
+                            objects[fileName] = {
+                                generation: currentGeneration + 1,
+                                contents: data
+                            };
+                            return q();
+                        }
+                    };
+                }
+            };
+        });
+
+        it('create test', () => {
+            return provider.putInstance('vm1', { isPrimary: true })
+                .then((result) => {
+                    assert.deepEqual(
+                        result,
+                        {
+                            written: true,
+                            conflict: false,
+                            attempts: 1,
+                            conflictingFields: []
+                        }
+                    );
+                    assert.deepEqual(
+                        JSON.parse(objects['instances/vm1'].contents),
+                        { isPrimary: true, schemaVersion: 2 }
+                    );
+                });
+        });
+
+        it('merge test', () => {
+            objects['instances/vm1'] = {
+                generation: 3,
+                contents: JSON.stringify({ isPrimary: true, hostname: 'bigip1' })
+            };
+            return provider.putInstance('vm1', { isPrimary: false })
+                .then((result) => {
+                    assert.deepEqual(
+                        result,
+                        {
+                            written: true,
+                            conflict: false,
+                            attempts: 1,
+                            conflictingFields: []
+                        }
+                    );
+                    assert.deepEqual(
+                        JSON.parse(objects['instances/vm1'].contents),
+                        { isPrimary: false, hostname: 'bigip1', schemaVersion: 2 }
+                    );
+                });
+        });
+
+        it('conflict test', () => {
+            objects['instances/vm1'] = {
+                generation: 3,
+                contents: JSON.stringify({ isPrimary: true })
+            };
+
+            // another writer updates the record once, between our read and write
+            beforeSave = (fileName) => {
+                beforeSave = undefined;
+                objects[fileName] = {
+                    generation: 4,
+                    contents: JSON.stringify({ isPrimary: true, primaryStatus: { status: 'OK' } })
+                };
+            };
+
+            return provider.putInstance('vm1', { isPrimary: false })
+                .then((result) => {
+                    assert.deepEqual(
+                        result,
+                        {
+                            written: true,
+                            conflict: true,
+                            attempts: 2,
+                            conflictingFields: []
+                        }
+                    );
+                    assert.deepEqual(
+                        JSON.parse(objects['instances/vm1'].contents),
+                        { isPrimary: false, primaryStatus: { status: 'OK' }, schemaVersion: 2 }
+                    );
+                });
+        });
+
+        it('stale record test', () => {
+            const instance = { isPrimary: true, primaryStatus: { status: 'OK' } };
+
+            return provider.putInstance('vm1', instance)
+                .then(() => {
+                    // another instance changes primaryStatus after we read the record
+                    objects['instances/vm1'] = {
+                        generation: objects['instances/vm1'].generation + 1,
+                        contents: JSON.stringify({ isPrimary: true, primaryStatus: { status: 'FAILED' } })
+                    };
+
+                    instance.isPrimary = false;
+                    return provider.putInstance('vm1', instance);
+                })
+                .then((result) => {
+                    assert.deepEqual(result.conflictingFields, []);
+                    assert.deepEqual(
+                        JSON.parse(objects['instances/vm1'].contents),
+                        { isPrimary: false, primaryStatus: { status: 'FAILED' }, schemaVersion: 2 }
+                    );
+                });
+        });
+
+        it('original test', () => {
+            objects['instances/vm1'] = {
+                generation: 3,
+                contents: JSON.stringify({ isPrimary: false, primaryStatus: { status: 'FAILED' } })
+            };
+            const original = { isPrimary: true, primaryStatus: { status: 'OK' } };
+
+            return provider.putInstance(
+                'vm1',
+                { isPrimary: true, primaryStatus: { status: 'OK' }, hostname: 'bigip1' },
+                { original }
+            )
+                .then((result) => {
+                    assert.deepEqual(result.conflictingFields, []);
+                    assert.deepEqual(
+                        JSON.parse(objects['instances/vm1'].contents),
+                        {
+                            isPrimary: false,
+                            primaryStatus: { status: 'FAILED' },
+                            hostname: 'bigip1',
+                            schemaVersion: 2
+                        }
+                    );
+                });
+        });
+
+        it('conflicting fields test', () => {
+            objects['instances/vm1'] = {
+                generation: 3,
+                contents: JSON.stringify({ isPrimary: false, primaryStatus: { status: 'FAILED' } })
+            };
+            const original = { isPrimary: true, primaryStatus: { status: 'OK' } };
+
+            return provider.putInstance(
+                'vm1',
+                { isPrimary: true, primaryStatus: { status: 'BECOMING_PRIMARY' } },
+                { original }
+            )
+                .then((result) => {
+                    assert.deepEqual(result.conflictingFields, ['primaryStatus']);
+                    assert.deepEqual(
+                        JSON.parse(objects['instances/vm1'].contents),
+                        { isPrimary: false, primaryStatus: { status: 'BECOMING_PRIMARY' }, schemaVersion: 2 }
+                    );
+                });
+        });
+
+        it('migrate test', () => {
+            objects['instances/vm1'] = {
+                generation: 3,
+                contents: JSON.stringify({ isMaster: true, masterStatus: { status: 'OK' } })
+            };
+            return provider.putInstance('vm1', { hostname: 'bigip1' })
+                .then(() => {
+                    assert.deepEqual(
+                        JSON.parse(objects['instances/vm1'].contents),
+                        {
+                            isPrimary: true,
+                            primaryStatus: { status: 'OK' },
+                            hostname: 'bigip1',
+                            schemaVersion: 2
+                        }
+                    );
+                });
+        });
+
+        it('newer schema test', () => {
+            objects['instances/vm1'] = {
+                generation: 3,
+                contents: JSON.stringify({ isPrimary: true, newField: 'foo', schemaVersion: 3 })
+            };
+            return provider.putInstance('vm1', { isPrimary: false })
+                .then(() => {
+                    assert.deepEqual(
+                        JSON.parse(objects['instances/vm1'].contents),
+                        { isPrimary: false, newField: 'foo', schemaVersion: 3 }
+                    );
+                });
+        });
+
+        it('too many conflicts test', () => {
+            beforeSave = (fileName) => {
+                const current = objects[fileName];
+                objects[fileName] = {
+                    generation: current ? current.generation + 1 : 1,
+                    contents: '{}'
+                };
+            };
+
+            return provider.putInstance('vm1', { isPrimary: false })
+                .then(() => {
+                    assert.ok(false, 'should have thrown conflict');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.code, 412);
+                });
+        });
+
+        it('must exist test', () => {
+            return provider.putInstance('vm1', { isPrimary: false }, { mustExist: true })
+                .then((result) => {
+                    assert.strictEqual(result.written, false);
+                    assert.strictEqual(objects['instances/vm1'], undefined);
+                });
+        });
+    });
+
+    describe('storage backend tests', () => {
+        describe('local backend tests', () => {
+            /* eslint-disable global-require */
+            const path = require('path');
+            /* eslint-enable global-require */
+
+            let directory;
+
+            beforeEach(() => {
+                directory = makeTempDirectory();
+                return provider.init({ storageBackend: 'local', localStorageDir: directory });
+            });
+
+            afterEach(() => {
+                removeDirectory(directory);
+            });
+
+            it('round trip test', () => {
+                return provider.putInstance('vm1', { isPrimary: true })
+                    .then(() => {
+                        return provider.putInstance('vm2', { isPrimary: false });
+                    })
+                    .then(() => {
+                        return provider.storageBackend.getAll('instances/');
+                    })
+                    .then((instances) => {
+                        assert.deepEqual(instances, {
+                            'instances/vm1': { isPrimary: true, schemaVersion: 2 },
+                            'instances/vm2': { isPrimary: false, schemaVersion: 2 }
+                        });
+                    });
+            });
+
+            it('put file test', () => {
+                const backend = provider.storageBackend;
+                const filePath = path.join(directory, 'source.ucs');
+                fsMock.writeFileSync(filePath, 'ucs data');
+
+                return backend.putFile('backup/source.ucs', filePath)
+                    .then(() => {
+                        return backend.get('backup/source.ucs', { verify: true });
+                    })
+                    .then((result) => {
+                        assert.strictEqual(result.data.toString(), 'ucs data');
+                        fsMock.writeFileSync(path.join(directory, 'backup', 'source.ucs'), 'corrupt');
+                        return backend.get('backup/source.ucs', { verify: true });
+                    })
+                    .catch((err) => { return err; })
+                    .then((err) => {
+                        assert.strictEqual(err.code, 'CHECKSUM_MISMATCH');
+                    });
+            });
+
+            it('generation test', () => {
+                const backend = provider.storageBackend;
+                return backend.put('foo/bar', 'hello', { generation: 0 })
+                    .then(() => {
+                        return backend.put('foo/bar', 'again', { generation: 0 });
+                    })
+                    .catch((err) => { return err; })
+                    .then((err) => {
+                        assert.strictEqual(err.code, 412);
+                        return backend.get('foo/bar');
+                    })
+                    .then((result) => {
+                        assert.deepEqual(result, { data: 'hello', generation: 1 });
+                        return backend.list('foo/');
+                    })
+                    .then((objects) => {
+                        assert.strictEqual(objects.length, 1);
+                        assert.strictEqual(objects[0].name, 'foo/bar');
+                        return backend.delete('foo/bar');
+                    })
+                    .then(() => {
+                        return backend.get('foo/bar');
+                    })
+                    .catch((err) => { return err; })
+                    .then((err) => {
+                        assert.strictEqual(err.code, 404);
+                    });
+            });
+        });
+
+        it('gcs get all test', () => {
+            let inFlight = 0;
+            let maxInFlight = 0;
+            const files = [0, 1, 2, 3, 4].map((i) => {
+                return {
+                    name: `instances/vm${i}`,
+                    metadata: { contentType: 'application/json' },
+                    download() {
+                        inFlight += 1;
+                        maxInFlight = Math.max(maxInFlight, inFlight);
+                        return q.delay(5)
+                            .then(() => {
+                                inFlight -= 1;
+                                return [JSON.stringify({ index: i })];
+                            });
+                    },
+                    getMetadata() {
+                        throw new Error('listing metadata should be used');
+                    }
+                };
+            });
+
+            // eslint-disable-next-line global-require
+            const GcsBackend = require('../../lib/storageBackends/gcs');
+            const backend = new GcsBackend({
+                bucket: {
+                    getFiles() {
+                        return q([files]);
+                    }
+                },
+                concurrency: 2
+            });
+
+            return backend.getAll('instances/')
+                .then((objects) => {
+                    assert.strictEqual(Object.keys(objects).length, 5);
+                    assert.deepEqual(objects['instances/vm3'], { index: 3 });
+                    assert.strictEqual(maxInFlight, 2);
+                });
+        });
+
+        describe('instance manifest tests', () => {
+            let directory;
+
+            beforeEach(() => {
+                directory = makeTempDirectory();
+                return provider.init({
+                    storageBackend: 'local',
+                    localStorageDir: directory,
+                    instanceManifest: true
+                });
+            });
+
+            afterEach(() => {
+                removeDirectory(directory);
+            });
+
+            it('build manifest test', () => {
+                const backend = provider.storageBackend;
+                provider.pubSub = {
+                    getSubscriptions() {
+                        return q([[]]);
+                    },
+                    createSubscription() {
+                        return q();
+                    },
+                    getTopics() {
+                        return q([[]]);
+                    },
+                    createTopic() {
+                        return q();
+                    }
+                };
+
+                return backend.put('instances/vm1', { isPrimary: true })
+                    .then(() => {
+                        return provider.primaryElected('vm2');
+                    })
+                    .then(() => {
+                        return backend.get('manifest/instances');
+                    })
+                    .then((result) => {
+                        assert.deepEqual(
+                            result.data,
+                            { instances: { vm1: { isPrimary: false, schemaVersion: 2 } } }
+                        );
+                    });
+            });
+
+            it('migrate on read test', () => {
+                const backend = provider.storageBackend;
+                provider.pubSub = {
+                    getSubscriptions() {
+                        return q([[]]);
+                    },
+                    createSubscription() {
+                        return q();
+                    },
+                    getTopics() {
+                        return q([[]]);
+                    },
+                    createTopic() {
+                        return q();
+                    }
+                };
+
+                return backend.put('instances/vm1', { isMaster: true })
+                    .then(() => {
+                        return backend.put('instances/vm3', { isPrimary: 'yes' });
+                    })
+                    .then(() => {
+                        return provider.primaryElected('vm2');
+                    })
+                    .then(() => {
+                        return backend.get('manifest/instances');
+                    })
+                    .then((result) => {
+                        // vm3 is not valid, so it is left alone
+                        assert.deepEqual(result.data.instances.vm1, { isPrimary: false, schemaVersion: 2 });
+                        assert.deepEqual(result.data.instances.vm3, { isPrimary: 'yes' });
+                        return backend.get('instances/vm1');
+                    })
+                    .then((result) => {
+                        assert.deepEqual(result.data, { isPrimary: false, schemaVersion: 2 });
+                    });
+            });
+
+            it('update manifest test', () => {
+                const backend = provider.storageBackend;
+                return backend.put('manifest/instances', { instances: {} })
+                    .then(() => {
+                        return provider.putInstance('vm1', { isPrimary: true });
+                    })
+                    .then(() => {
+                        return provider.putInstance('vm2', { isPrimary: false });
+                    })
+                    .then(() => {
+                        return backend.get('manifest/instances');
+                    })
+                    .then((result) => {
+                        assert.deepEqual(result.data.instances, {
+                            vm1: { isPrimary: true, schemaVersion: 2 },
+                            vm2: { isPrimary: false, schemaVersion: 2 }
+                        });
+                    });
+            });
+        });
+
+        describe('collect garbage tests', () => {
+            /* eslint-disable global-require */
+            const path = require('path');
+            /* eslint-enable global-require */
+
+            let directory;
+            let deletedSubscriptions;
+            let groupVms;
+
+            const putUcs = (name, sourceInstance) => {
+                // Space the backups out so that they sort by age
+                return q.delay(5)
+                    .then(() => {
+                        return provider.storageBackend.putFile(
+                            `myGroup/backup/${name}`,
+                            path.join(directory, 'source.ucs'),
+                            { metadata: { sourceInstance } }
+                        );
+                    });
+            };
+
+            beforeEach(() => {
+                directory = makeTempDirectory();
+                deletedSubscriptions = [];
+                groupVms = [vm1];
+
+                return provider.init({
+                    storageBackend: 'local',
+                    localStorageDir: directory,
+                    instanceGroup: 'myGroup'
+                })
+                    .then(() => {
+                        const backend = provider.storageBackend;
+                        fsMock.writeFileSync(path.join(directory, 'source.ucs'), 'ucs data');
+
+                        computeMock.zone = function zone() {
+                            return {
+                                instanceGroup() {
+                                    return {
+                                        getVMs() {
+                                            return [groupVms];
+                                        }
+                                    };
+                                }
+                            };
+                        };
+                        provider.compute = computeMock;
+                        provider.pubSub = {
+                            getSubscriptions(params) {
+                                const name = params.topic.startsWith('JOIN_')
+                                    ? 'projects/aProject/subscriptions/JOIN_vm1'
+                                    : 'projects/aProject/subscriptions/SYNC_COMPLETE_vm2';
+                                return q([[name]]);
+                            },
+                            deleteSubscription(name) {
+                                deletedSubscriptions.push(name);
+                                return q();
+                            }
+                        };
+
+                        return q.all([
+                            backend.put('myGroup/instances/vm1', { isPrimary: false }),
+                            backend.put('myGroup/instances/vm2', { isPrimary: false }),
+                            backend.put(
+                                'myGroup/instances/vm3',
+                                { isPrimary: true, lastUpdate: new Date().toISOString() }
+                            ),
+                            backend.put('myGroup/public_keys/vm1', 'key1'),
+                            backend.put('myGroup/public_keys/vm2', 'key2'),
+                            backend.put('myGroup/pins/backup', { pinned: ['pinned.ucs'] })
+                        ]);
+                    })
+                    .then(() => {
+                        return putUcs('pinned.ucs', 'vm2');
+                    })
+                    .then(() => {
+                        return putUcs('old.ucs', 'vm2');
+                    })
+                    .then(() => {
+                        return putUcs('live.ucs', 'vm1');
+                    })
+                    .then(() => {
+                        return putUcs('newest.ucs', 'vm2');
+                    });
+            });
+
+            afterEach(() => {
+                removeDirectory(directory);
+            });
+
+            it('dry run test', () => {
+                return provider.collectGarbage({ dryRun: true })
+                    .then((orphans) => {
+                        assert.deepEqual(orphans, {
+                            instances: ['vm2'],
+                            publicKeys: ['vm2'],
+                            backups: ['backup/old.ucs'],
+                            subscriptions: ['SYNC_COMPLETE_vm2'],
+                            failed: []
+                        });
+                        assert.deepEqual(deletedSubscriptions, []);
+                        return provider.storageBackend.list('myGroup/');
+                    })
+                    .then((objects) => {
+                        assert.strictEqual(objects.length, 10);
+                    });
+            });
+
+            it('delete test', () => {
+                return provider.collectGarbage()
+                    .then(() => {
+                        assert.deepEqual(deletedSubscriptions, ['SYNC_COMPLETE_vm2']);
+                        return provider.storageBackend.list('myGroup/');
+                    })
+                    .then((objects) => {
+                        const names = objects
+                            .map((object) => {
+                                return object.name;
+                            })
+                            .sort();
+                        assert.deepEqual(names, [
+                            'myGroup/backup/live.ucs',
+                            'myGroup/backup/newest.ucs',
+                            'myGroup/backup/pinned.ucs',
+                            'myGroup/instances/vm1',
+                            'myGroup/instances/vm3',
+                            'myGroup/pins/backup',
+                            'myGroup/public_keys/vm1'
+                        ]);
+                    });
+            });
+
+            it('empty group test', () => {
+                groupVms = [];
+                return provider.collectGarbage()
+                    .then(() => {
+                        assert.ok(false, 'should have refused to collect');
+                    })
+                    .catch((err) => {
+                        assert.notStrictEqual(err.message.indexOf('has no other instances'), -1);
+                        return provider.storageBackend.list('myGroup/');
+                    })
+                    .then((objects) => {
+                        assert.strictEqual(objects.length, 10);
+                        assert.deepEqual(deletedSubscriptions, []);
+                    });
+            });
+
+            it('only this instance test', () => {
+                provider.instanceId = 'vm1';
+                return provider.collectGarbage({ dryRun: true })
+                    .then(() => {
+                        assert.ok(false, 'should have refused to collect');
+                    })
+                    .catch((err) => {
+                        assert.notStrictEqual(err.message.indexOf('has no other instances'), -1);
+                    });
+            });
+
+            it('force test', () => {
+                groupVms = [];
+                return provider.collectGarbage({ dryRun: true, force: true })
+                    .then((orphans) => {
+                        assert.deepEqual(orphans.instances.sort(), ['vm1', 'vm2']);
+                    });
+            });
+
+            it('external instance test', () => {
+                const externalTag = { key: 'role', value: 'byol' };
+                let tagRequested;
+                provider.getVmsByTag = function getVmsByTag(tag) {
+                    tagRequested = tag;
+                    return q([
+                        {
+                            id: 'vm2',
+                            ip: {
+                                public: '10.11.12.13',
+                                private: '15.16.17.18'
+                            }
+                        }
+                    ]);
+                };
+
+                return provider.collectGarbage({ externalTag })
+                    .then((orphans) => {
+                        assert.deepEqual(tagRequested, externalTag);
+                        assert.deepEqual(orphans.instances, []);
+                        assert.deepEqual(orphans.publicKeys, []);
+                        assert.deepEqual(orphans.subscriptions, []);
+                        assert.deepEqual(deletedSubscriptions, []);
+                        return provider.storageBackend.get('myGroup/public_keys/vm2');
+                    })
+                    .then((key) => {
+                        assert.strictEqual(key.data, 'key2');
+                    });
+            });
+
+            it('delete subscription error test', () => {
+                provider.pubSub.deleteSubscription = function deleteSubscription() {
+                    return q.reject(new Error('permission denied'));
+                };
+                return provider.collectGarbage()
+                    .then((orphans) => {
+                        assert.deepEqual(orphans.subscriptions, []);
+                        assert.deepEqual(orphans.instances, ['vm2']);
+                        assert.deepEqual(orphans.failed, [
+                            { type: 'subscriptions', name: 'SYNC_COMPLETE_vm2', error: 'permission denied' }
+                        ]);
+                    });
+            });
+        });
+
+        describe('storage prefix tests', () => {
+            let directory;
+
+            beforeEach(() => {
+                directory = makeTempDirectory();
+                return provider.init({
+                    storageBackend: 'local',
+                    localStorageDir: directory,
+                    instanceGroup: 'group1'
+                });
+            });
+
+            afterEach(() => {
+                removeDirectory(directory);
+            });
+
+            it('prefix test', () => {
+                const otherProvider = new GceCloudProvider();
+                return otherProvider.init({
+                    storageBackend: 'local',
+                    localStorageDir: directory,
+                    storagePrefix: 'other'
+                })
+                    .then(() => {
+                        return provider.putInstance('vm1', { isPrimary: true });
+                    })
+                    .then(() => {
+                        return otherProvider.putInstance('vm2', { isPrimary: true });
+                    })
+                    .then(() => {
+                        return provider.storageBackend.list('');
+                    })
+                    .then((objects) => {
+                        const names = objects.map((object) => { return object.name; }).sort();
+                        assert.deepEqual(names, ['group1/instances/vm1', 'other/instances/vm2']);
+                    });
+            });
+
+            it('migrate storage layout test', () => {
+                const backend = provider.storageBackend;
+                return backend.put('credentials/primary', { username: 'admin' })
+                    .then(() => {
+                        return backend.put('instances/vm1', { isPrimary: true });
+                    })
+                    .then(() => {
+                        return backend.put('instances/vm2', { isPrimary: false });
+                    })
+                    .then(() => {
+                        return backend.put('group1/instances/vm2', { isPrimary: true });
+                    })
+                    .then(() => {
+                        return provider.migrateStorageLayout({ dryRun: true });
+                    })
+                    .then((result) => {
+                        assert.deepEqual(result.moved.sort(), ['credentials/primary', 'instances/vm1']);
+                        assert.deepEqual(result.skipped, ['instances/vm2']);
+                        return provider.migrateStorageLayout();
+                    })
+                    .then(() => {
+                        return backend.getAll('');
+                    })
+                    .then((objects) => {
+                        assert.deepEqual(objects, {
+                            'group1/credentials/primary': { username: 'admin' },
+                            'group1/instances/vm1': { isPrimary: true },
+                            'group1/instances/vm2': { isPrimary: true },
+                            'instances/vm2': { isPrimary: false }
+                        });
+                    });
+            });
+
+            it('migrate storage layout no prefix test', () => {
+                provider.storagePrefix = '';
+                return provider.migrateStorageLayout()
+                    .catch((err) => { return err; })
+                    .then((err) => {
+                        assert.strictEqual(err.message, 'migrateStorageLayout requires a storage prefix');
+                    });
+            });
+        });
+
+        describe('firestore backend tests', () => {
+            let documents;
+
+            beforeEach(() => {
+                documents = {};
+
+                return provider.init({ storageBackend: 'firestore', firestoreCollection: 'myCollection' })
+                    .then(() => {
+                        provider.storageBackend.firestore = {
+                            getDocument(collection, id) {
+                                return documents[id]
+                                    ? q(documents[id])
+                                    : q.reject(new Error('url status code 404, body: {}'));
+                            },
+                            listDocuments() {
+                                return q(Object.keys(documents).map((id) => {
+                                    return documents[id];
+                                }));
+                            },
+                            writeDocument(collection, id, fields, precondition) {
+                                const current = documents[id];
+                                if (precondition && precondition.exists === false && current) {
+                                    return q.reject(new Error('url status code 409, body: {}'));
+                                }
+                                if (precondition && precondition.updateTime &&
+                                    (!current || current.updateTime !== precondition.updateTime)) {
+                                    return q.reject(
+                                        new Error('url status code 400, body: FAILED_PRECONDITION')
+                                    );
+                                }
+                                const updateTime = current ? `${Number(current.updateTime) + 1}` : '1';
+                                documents[id] = {
+                                    name: `projects/p/databases/d/documents/${collection}/${id}`,
+                                    fields,
+                                    updateTime
+                                };
+                                return q(documents[id]);
+                            }
+                        };
+                    });
+            });
+
+            it('round trip test', () => {
+                return provider.putInstance('vm1', { isPrimary: true })
+                    .then(() => {
+                        return provider.putInstance('vm1', { isPrimary: false, hostname: 'foo' });
+                    })
+                    .then(() => {
+                        return provider.storageBackend.getAll('instances/');
+                    })
+                    .then((instances) => {
+                        assert.deepEqual(instances, {
+                            'instances/vm1': { isPrimary: false, hostname: 'foo', schemaVersion: 2 }
+                        });
+                        assert.strictEqual(documents['instances%2Fvm1'].updateTime, '2');
+                    });
+            });
+
+            it('conflict test', () => {
+                return provider.storageBackend.put('foo', 'bar', { generation: 0 })
+                    .then(() => {
+                        return provider.storageBackend.put('foo', 'bar', { generation: 0 });
+                    })
+                    .catch((err) => { return err; })
+                    .then((err) => {
+                        assert.strictEqual(err.code, 412);
+                    });
+            });
+
+            it('stream test', () => {
+                // eslint-disable-next-line global-require
+                const stream = require('stream');
+                return provider.storageBackend.put('foo', new stream.PassThrough())
+                    .catch((err) => { return err; })
+                    .then((err) => {
+                        assert.strictEqual(
+                            err.message,
+                            'Streamed data is not supported by the Firestore storage backend'
+                        );
+                    });
+            });
+        });
+    });
+
+    describe('object encryption tests', () => {
+        let fileOptionsSent;
+        let encryptionKeySet;
+
+        beforeEach(() => {
+            fileOptionsSent = {};
+            encryptionKeySet = undefined;
+            provider.storageBucket = {
+                file(fileName, options) {
+                    fileOptionsSent[fileName] = options;
+                    return {
+                        save() {
+                            return q();
+                        },
+                        download() {
+                            return q(['myKey']);
+                        },
+                        getMetadata() {
+                            return q([{ contentType: 'text/plain' }]);
+                        }
+                    };
+                },
+                getFiles() {
+                    return q([[
+                        {
+                            setEncryptionKey(key) {
+                                encryptionKeySet = key;
+                            },
+                            download() {
+                                return q(['{"isPrimary":false}']);
+                            },
+                            name: 'instances/vm1',
+                            metadata: { contentType: 'application/json' }
+                        }
+                    ]]);
+                }
+            };
+            provider.pubSub = {
+                getSubscriptions() {
+                    return q([[]]);
+                },
+                createSubscription() {
+                    return q();
+                },
+                getTopics() {
+                    return q([[]]);
+                },
+                createTopic() {
+                    return q();
+                }
+            };
+        });
+
+        it('kms key name test', () => {
+            provider.providerOptions = { kmsKeyName: 'projects/p/locations/l/keyRings/r/cryptoKeys/k' };
+            return provider.putPublicKey('vm1', 'myKey')
+                .then(() => {
+                    assert.strictEqual(
+                        fileOptionsSent['public_keys/vm1'].kmsKeyName,
+                        'projects/p/locations/l/keyRings/r/cryptoKeys/k'
+                    );
+                    assert.strictEqual(fileOptionsSent['public_keys/vm1'].encryptionKey, undefined);
+                });
+        });
+
+        it('customer supplied key test', () => {
+            provider.providerOptions = { instanceGroup: 'foo' };
+            provider.encryptionKey = Buffer.alloc(32, 'k');
+            return provider.getPublicKey('vm1')
+                .then((publicKey) => {
+                    assert.strictEqual(publicKey, 'myKey');
+                    const fileOptions = fileOptionsSent['public_keys/vm1'];
+                    assert.strictEqual(fileOptions.encryptionKey, provider.encryptionKey);
+                    return provider.primaryElected('vm2');
+                })
+                .then(() => {
+                    assert.strictEqual(encryptionKeySet, provider.encryptionKey);
+                });
+        });
+
+        it('customer supplied key other bucket test', () => {
+            const bucketsRead = {};
+            provider.providerOptions = { instanceGroup: 'foo', storageBucket: 'myBucket' };
+            provider.encryptionKey = Buffer.alloc(32, 'k');
+            provider.storage = {
+                bucket(bucketName) {
+                    return {
+                        file(fileName, options) {
+                            bucketsRead[bucketName] = options;
+                            return {
+                                download() {
+                                    return q(['myData']);
+                                },
+                                getMetadata() {
+                                    return q([{ contentType: 'text/plain' }]);
+                                }
+                            };
+                        }
+                    };
+                }
+            };
+
+            return provider.getDataFromUri('gs://otherBucket/myFile')
+                .then(() => {
+                    return provider.getDataFromUri('gs://myBucket/myFile');
+                })
+                .then(() => {
+                    assert.strictEqual(bucketsRead.otherBucket.encryptionKey, undefined);
+                    assert.strictEqual(bucketsRead.myBucket.encryptionKey, provider.encryptionKey);
+                });
+        });
+    });
+
+    describe('primary credentials tests', () => {
+        let objects;
+        let BigIp;
+        let cryptoUtilMock;
+
+        beforeEach(() => {
+            /* eslint-disable global-require */
+            BigIp = require('@f5devcentral/f5-cloud-libs').bigIp;
+            cryptoUtilMock = require('@f5devcentral/f5-cloud-libs').cryptoUtil;
+            /* eslint-enable global-require */
+
+            BigIp.prototype.init = function init(host, user, password) {
+                this.user = user;
+                this.password = password;
+                return q();
+            };
+            BigIp.prototype.ready = function ready() {
+                return q();
+            };
+            BigIp.prototype.getPassword = function getPassword() {
+                return q('myPassword');
+            };
+
+            objects = {};
+            provider.clOptions = {
+                user: 'myUser',
+                password: 'myPassword'
+            };
+            provider.providerOptions = {};
+            provider.instancesToRevoke = [];
+            provider.storageBucket = {
+                file(fileName) {
+                    return {
+                        save(data, options) {
+                            objects[fileName] = {
+                                contents: data,
+                                contentType: options.metadata.contentType
+                            };
+                            return q();
+                        },
+                        download() {
+                            return q([objects[fileName].contents]);
+                        },
+                        getMetadata() {
+                            return q([{ contentType: objects[fileName].contentType }]);
+                        }
+                    };
+                }
             };
 
-            const primaryIid = 'bigip-bf4b';
-            const instances = {
-                'bigip-bf4b': {
-                    privateIp: '10.0.2.11'
+            // local stand-in for Cloud KMS
+            provider.kms = {
+                encrypt(keyName, data) {
+                    return q(Buffer.from(`${keyName}|${data}`).toString('base64'));
                 },
-                'bigip-jjzs': {
-                    privateIp: '10.0.2.11'
-                },
-                'bigip-uuio': {
-                    privateIp: '10.0.2.12'
+                decrypt(keyName, ciphertext) {
+                    const plaintext = Buffer.from(ciphertext, 'base64').toString();
+                    assert.strictEqual(plaintext.split('|')[0], keyName);
+                    return q(Buffer.from(plaintext.substr(keyName.length + 1)));
                 }
             };
 
-            return provider.tagPrimaryInstance(primaryIid, instances)
+            return provider.bigIpReady();
+        });
+
+        it('kms test', () => {
+            provider.providerOptions.credentialsKmsKeyName = 'myKey';
+            return provider.putPrimaryCredentials()
                 .then(() => {
-                    assert.strictEqual(vmSetTagsParams['bigip-uuio'], undefined);
-                    assert.strictEqual(vmSetTagsParams['bigip-jjzs'].tags.indexOf('foo-primary'), -1);
-                    assert.notStrictEqual(vmSetTagsParams[primaryIid].tags.indexOf('foo-primary'), -1);
-                    assert.strictEqual(vmSetTagsParams[primaryIid].fingerprint, 'fingerprint');
+                    const stored = JSON.parse(objects['credentials/primary'].contents);
+                    assert.strictEqual(stored.formatVersion, 1);
+                    assert.strictEqual(stored.encryption, 'kms');
+                    assert.strictEqual(stored.keyName, 'myKey');
+                    assert.strictEqual(objects['credentials/primary'].contents.indexOf('myPassword'), -1);
+                    return provider.getPrimaryCredentials('1.2.3.4', '443');
+                })
+                .then((storedCredentials) => {
+                    assert.deepEqual(storedCredentials, { username: 'myUser', password: 'myPassword' });
+                });
+        });
+
+        it('crypto util test', () => {
+            let privateKeyFileSent;
+
+            provider.providerOptions.credentialsPublicKey = 'myPublicKey';
+            provider.providerOptions.credentialsPrivateKeyFile = '/path/to/private.key';
+            cryptoUtilMock.symmetricEncrypt = function symmetricEncrypt(publicKey, data) {
+                return q({
+                    encryptedKey: `${publicKey}-key`,
+                    iv: 'myIv',
+                    encryptedData: Buffer.from(data).toString('base64')
+                });
+            };
+            cryptoUtilMock.symmetricDecrypt = function symmetricDecrypt(privateKeyFile, key, iv, data) {
+                privateKeyFileSent = privateKeyFile;
+                assert.strictEqual(key, 'myPublicKey-key');
+                assert.strictEqual(iv, 'myIv');
+                return q(Buffer.from(data, 'base64').toString());
+            };
+
+            return provider.putPrimaryCredentials()
+                .then(() => {
+                    const stored = JSON.parse(objects['credentials/primary'].contents);
+                    assert.strictEqual(stored.formatVersion, 1);
+                    assert.strictEqual(stored.encryption, 'cryptoUtil');
+                    return provider.getPrimaryCredentials('1.2.3.4', '443');
+                })
+                .then((storedCredentials) => {
+                    assert.strictEqual(privateKeyFileSent, '/path/to/private.key');
+                    assert.deepEqual(storedCredentials, { username: 'myUser', password: 'myPassword' });
+                });
+        });
+
+        it('plaintext test', () => {
+            objects['credentials/primary'] = {
+                contents: JSON.stringify({ username: 'oldUser', password: 'oldPassword' }),
+                contentType: 'application/json'
+            };
+            return provider.getPrimaryCredentials('1.2.3.4', '443')
+                .then((storedCredentials) => {
+                    assert.deepEqual(storedCredentials, { username: 'oldUser', password: 'oldPassword' });
+                });
+        });
+
+        describe('secret manager tests', () => {
+            let secrets;
+            let requests;
+
+            beforeEach(() => {
+                // eslint-disable-next-line global-require
+                const SecretManager = require('../../src/gcClients/secretManager');
+                const base = 'https://secretmanager.googleapis.com/v1/projects/myProject/';
+
+                secrets = {};
+                requests = [];
+
+                provider.providerOptions = {
+                    instanceGroup: 'foo',
+                    credentialsStore: 'secretManager',
+                    credentialsRetentionCount: 2
+                };
+                provider.secretManager = new SecretManager({ projectId: 'myProject' });
+
+                // local stand-in for the Secret Manager API
+                provider.secretManager.tokenManager.request = function request(method, url, body) {
+                    const path = url.substr(base.length);
+                    requests.push(`${method} ${path}`);
+
+                    let match = /^secrets\?secretId=(.+)$/.exec(path);
+                    if (match) {
+                        secrets[match[1]] = [];
+                        return q({});
+                    }
+                    match = /^secrets\/([^/]+):addVersion$/.exec(path);
+                    if (match) {
+                        if (!secrets[match[1]]) {
+                            return q.reject(new Error('request failed with status code 404'));
+                        }
+                        const versions = secrets[match[1]];
+                        const name = `projects/123/secrets/${match[1]}/versions/${versions.length + 1}`;
+                        versions.push({ name, state: 'ENABLED', data: body.payload.data });
+                        return q({ name });
+                    }
+                    match = /^secrets\/([^/]+)\/versions(\?.*)?$/.exec(path);
+                    if (match) {
+                        const enabledOnly = (match[2] || '').indexOf('state%3AENABLED') !== -1;
+                        const versions = secrets[match[1]].filter((version) => {
+                            return !enabledOnly || version.state === 'ENABLED';
+                        });
+                        return q({ versions });
+                    }
+                    match = /^secrets\/([^/]+)\/versions\/(\d+):access$/.exec(path);
+                    if (match) {
+                        const version = secrets[match[1]][parseInt(match[2], 10) - 1];
+                        return q({ payload: { data: version.data } });
+                    }
+                    match = /^secrets\/([^/]+)\/versions\/(\d+):destroy$/.exec(path);
+                    if (match) {
+                        secrets[match[1]][parseInt(match[2], 10) - 1].state = 'DESTROYED';
+                        return q({});
+                    }
+                    return q.reject(new Error(`unexpected request ${method} ${path}`));
+                };
+            });
+
+            it('store and retrieve test', () => {
+                return provider.putPrimaryCredentials()
+                    .then(() => {
+                        assert.strictEqual(objects['credentials/primary'], undefined);
+                        assert.strictEqual(secrets['foo-primary-credentials'].length, 1);
+                        return provider.getPrimaryCredentials('1.2.3.4', '443');
+                    })
+                    .then((storedCredentials) => {
+                        assert.deepEqual(storedCredentials, { username: 'myUser', password: 'myPassword' });
+                        const createRequest = 'POST secrets?secretId=foo-primary-credentials';
+                        assert.notStrictEqual(requests.indexOf(createRequest), -1);
+                    });
+            });
+
+            it('retention test', () => {
+                return provider.putPrimaryCredentials()
+                    .then(() => {
+                        return provider.putPrimaryCredentials();
+                    })
+                    .then(() => {
+                        return provider.putPrimaryCredentials();
+                    })
+                    .then(() => {
+                        const states = secrets['foo-primary-credentials'].map((version) => {
+                            return version.state;
+                        });
+                        assert.deepEqual(states, ['DESTROYED', 'ENABLED', 'ENABLED']);
+                    });
+            });
+
+            it('latest enabled version test', () => {
+                return provider.putPrimaryCredentials()
+                    .then(() => {
+                        const versions = secrets['foo-primary-credentials'];
+                        versions.push({
+                            name: 'projects/123/secrets/foo-primary-credentials/versions/2',
+                            state: 'DISABLED',
+                            data: Buffer.from('{"username":"bad"}').toString('base64')
+                        });
+                        return provider.getPrimaryCredentials('1.2.3.4', '443');
+                    })
+                    .then((storedCredentials) => {
+                        assert.strictEqual(storedCredentials.username, 'myUser');
+                    });
+            });
+        });
+
+        it('unsupported format version test', () => {
+            objects['credentials/primary'] = {
+                contents: JSON.stringify({ formatVersion: 2, encryption: 'kms', data: 'foo' }),
+                contentType: 'application/json'
+            };
+            return provider.getPrimaryCredentials('1.2.3.4', '443')
+                .then(() => {
+                    assert.ok(false, 'should have thrown unsupported version');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.message, 'Unsupported credentials format version 2');
                 });
         });
     });
@@ -821,12 +3353,9 @@ describe('failover tests', () => {
                                     })
                                 ];
                             },
-                            getMetadata() {
-                                return [
-                                    {
-                                        name: 'instances/vm1'
-                                    }
-                                ];
+                            name: 'instances/vm1',
+                            metadata: {
+                                contentType: 'application/json'
                             }
                         },
                         {
@@ -837,12 +3366,9 @@ describe('failover tests', () => {
                                     })
                                 ];
                             },
-                            getMetadata() {
-                                return [
-                                    {
-                                        name: 'instances/vm2'
-                                    }
-                                ];
+                            name: 'instances/vm2',
+                            metadata: {
+                                contentType: 'application/json'
                             }
                         }
                     ]
@@ -876,4 +3402,458 @@ describe('failover tests', () => {
                 assert.strictEqual(instanceSent.isPrimary, false);
             });
     });
+
+    describe('primary lease tests', () => {
+        let leaseObject;
+        let saveGenerations;
+
+        const instances = {
+            vm1: {
+                privateIp: '1.2.3.4',
+                versionOk: true,
+                providerVisible: true
+            },
+            vm2: {
+                privateIp: '2.3.4.5',
+                versionOk: true,
+                providerVisible: true
+            }
+        };
+
+        const notFoundError = () => {
+            const err = new Error('No such object');
+            err.code = 404;
+            return err;
+        };
+
+        const setLease = (holder, expiresInMs) => {
+            leaseObject = {
+                generation: '5',
+                contents: JSON.stringify({
+                    holder,
+                    acquiredAt: new Date().toISOString(),
+                    expiresAt: new Date(Date.now() + expiresInMs).toISOString()
+                })
+            };
+        };
+
+        beforeEach(() => {
+            leaseObject = undefined;
+            saveGenerations = [];
+
+            provider.providerOptions = {
+                instanceGroup: 'foo'
+            };
+            provider.pubSub = {
+                getSubscriptions() {
+                    return q([[]]);
+                },
+                createSubscription() {
+                    return q();
+                },
+                getTopics() {
+                    return q([[]]);
+                },
+                createTopic() {
+                    return q();
+                }
+            };
+            provider.storageBucket = {
+                file(fileName, options) {
+                    assert.strictEqual(fileName, 'primary/lease');
+                    const generation = options ? options.generation : undefined;
+                    return {
+                        getMetadata() {
+                            if (!leaseObject) {
+                                return q.reject(notFoundError());
+                            }
+                            return q([{
+                                generation: leaseObject.generation,
+                                contentType: 'application/json'
+                            }]);
+                        },
+                        download() {
+                            if (!leaseObject) {
+                                return q.reject(notFoundError());
+                            }
+                            return q([leaseObject.contents]);
+                        },
+                        save(data) {
+                            saveGenerations.push(generation);
+                            const currentGeneration = leaseObject ? leaseObject.generation : 0;
+                            if (String(generation) !== String(currentGeneration)) {
+                                const err = new Error('Precondition Failed');
+                                err.code = 412;
+                                return q.reject(err);
+                            }
+                            leaseObject = {
+                                generation: String(parseInt(currentGeneration, 10) + 1),
+                                contents: data
+                            };
+                            return q();
+                        }
+                    };
+                },
+                getFiles() {
+                    return q([[]]);
+                }
+            };
+        });
+
+        it('acquire new lease test', () => {
+            provider.instanceId = 'vm1';
+            return provider.electPrimary(instances)
+                .then((primaryId) => {
+                    assert.strictEqual(primaryId, 'vm1');
+                    assert.deepEqual(saveGenerations, [0]);
+                    assert.strictEqual(JSON.parse(leaseObject.contents).holder, 'vm1');
+                });
+        });
+
+        it('keep eligible lease holder test', () => {
+            provider.instanceId = 'vm1';
+            setLease('vm2', 60000);
+            return provider.electPrimary(instances)
+                .then((primaryId) => {
+                    assert.strictEqual(primaryId, 'vm2');
+                    assert.strictEqual(saveGenerations.length, 0);
+                });
+        });
+
+        it('ineligible lease holder test', () => {
+            provider.instanceId = 'vm1';
+            setLease('vm3', 60000);
+            return provider.electPrimary(instances)
+                .then((primaryId) => {
+                    assert.strictEqual(primaryId, undefined);
+                });
+        });
+
+        it('expired lease test', () => {
+            provider.instanceId = 'vm1';
+            setLease('vm2', -1000);
+            return provider.electPrimary(instances)
+                .then((primaryId) => {
+                    assert.strictEqual(primaryId, 'vm1');
+                    assert.deepEqual(saveGenerations, ['5']);
+                    assert.strictEqual(JSON.parse(leaseObject.contents).holder, 'vm1');
+                });
+        });
+
+        it('primary elected renews lease test', () => {
+            provider.instanceId = 'vm1';
+            setLease('vm1', 60000);
+            const acquiredAt = JSON.parse(leaseObject.contents).acquiredAt;
+            return provider.primaryElected('vm1')
+                .then(() => {
+                    const lease = JSON.parse(leaseObject.contents);
+                    assert.deepEqual(saveGenerations, ['5']);
+                    assert.strictEqual(lease.holder, 'vm1');
+                    assert.strictEqual(lease.acquiredAt, acquiredAt);
+                });
+        });
+
+        it('primary elected lease held by other test', () => {
+            provider.instanceId = 'vm1';
+            setLease('vm2', 60000);
+            return provider.primaryElected('vm1')
+                .then(() => {
+                    assert.ok(false, 'should have thrown lease held');
+                })
+                .catch((err) => {
+                    assert.strictEqual(err.message, 'primary lease is held by vm2');
+                });
+        });
+
+        it('lost lease race test', () => {
+            provider.instanceId = 'vm1';
+            const realFile = provider.storageBucket.file;
+            provider.storageBucket.file = function file(fileName, options) {
+                const leaseFile = realFile(fileName, options);
+                const realSave = leaseFile.save;
+                leaseFile.save = function save(data) {
+                    // another instance grabs the lease between our read and write
+                    setLease('vm2', 60000);
+                    return realSave(data);
+                };
+                return leaseFile;
+            };
+
+            return provider.electPrimary(instances)
+                .then((primaryId) => {
+                    assert.strictEqual(primaryId, 'vm2');
+                    assert.strictEqual(JSON.parse(leaseObject.contents).holder, 'vm2');
+                });
+        });
+
+        it('storage backend without bucket test', () => {
+            /* eslint-disable global-require */
+            const LocalBackend = require('../../lib/storageBackends/local');
+            /* eslint-enable global-require */
+            const directory = makeTempDirectory();
+
+            provider.instanceId = 'vm1';
+            provider.storageBucket = undefined;
+            provider.storageBackend = new LocalBackend({ directory });
+            return provider.electPrimary(instances)
+                .then((primaryId) => {
+                    assert.strictEqual(primaryId, 'vm1');
+                    return provider.primaryElected('vm1');
+                })
+                .then(() => {
+                    return provider.storageBackend.get('primary/lease');
+                })
+                .then((result) => {
+                    assert.strictEqual(result.data.holder, 'vm1');
+                    assert.strictEqual(result.generation, 2);
+                })
+                .finally(() => {
+                    removeDirectory(directory);
+                });
+        });
+    });
+
+    describe('failover script tests', () => {
+        const computeBase = 'https://www.googleapis.com/compute/v1/projects/myProject';
+
+        let argv;
+        let directory;
+        let vmsLookedUp;
+        let nicPaths;
+        let targetsSet;
+
+        // Loads the failover script, which fails over as soon as it is loaded, and
+        // resolves with the message it logs when it is done
+        const runFailover = function () {
+            const deferred = q.defer();
+            const fakeLogger = {
+                info(message) {
+                    if (message === 'Failover Complete') {
+                        deferred.resolve(message);
+                    }
+                },
+                error(message) {
+                    if (typeof message === 'string' && message.startsWith('Failover Failed')) {
+                        deferred.reject(new Error(message));
+                    }
+                },
+                warn() {},
+                debug() {},
+                verbose() {},
+                silly() {}
+            };
+
+            /* eslint-disable global-require */
+            const f5CloudLibs = require('@f5devcentral/f5-cloud-libs');
+            const metadataService = require('../../src/gcClients/metadata');
+            const TokenManager = require('../../src/gcClients/tokenManager');
+            /* eslint-enable global-require */
+
+            f5CloudLibs.logger.getLogger = function getLogger() {
+                return fakeLogger;
+            };
+            f5CloudLibs.bigIp = function BigIp() {
+                return {
+                    init() {
+                        return q();
+                    },
+                    list(path) {
+                        if (path === '/tm/sys/global-settings') {
+                            return q({ hostname: 'bigip1.example.com' });
+                        }
+                        if (path === '/tm/cm/traffic-group/stats') {
+                            return q({
+                                entries: {
+                                    tg1: {
+                                        nestedStats: {
+                                            entries: {
+                                                deviceName: { description: '/Common/bigip1.example.com' },
+                                                failoverState: { description: 'active' },
+                                                trafficGroup: { description: '/Common/traffic-group-1' }
+                                            }
+                                        }
+                                    }
+                                }
+                            });
+                        }
+                        return q([{ address: '10.0.0.100', trafficGroup: '/Common/traffic-group-1' }]);
+                    }
+                };
+            };
+
+            metadataService.getMetadata = function getMetadata(entry) {
+                const entries = {
+                    'instance/name': 'bigip1',
+                    'instance/zone': 'projects/734288666861/zones/us-west1-a',
+                    'project/project-id': 'myProject'
+                };
+                return q(entries[entry]);
+            };
+
+            TokenManager.prototype.getToken = function getToken() {
+                return q('myToken');
+            };
+            TokenManager.prototype.request = function request(method, url) {
+                const path = url.substr(computeBase.length + 1);
+                if (path === 'regions/us-west1/forwardingRules') {
+                    return q({
+                        items: [
+                            {
+                                name: 'rule1',
+                                IPAddress: '10.0.0.100',
+                                target: `${computeBase}/zones/us-west1-b/targetInstances/ti-bigip2`
+                            }
+                        ]
+                    });
+                }
+                if (path === 'aggregated/targetInstances') {
+                    return q({
+                        items: {
+                            // same instance name in another region, which should be skipped
+                            'zones/us-east1-b': {
+                                targetInstances: [
+                                    {
+                                        name: 'ti-east',
+                                        instance: `${computeBase}/zones/us-east1-b/instances/bigip1`,
+                                        selfLink: 'eastSelfLink'
+                                    }
+                                ]
+                            },
+                            'zones/us-west1-a': {
+                                targetInstances: [
+                                    {
+                                        name: 'ti-bigip1',
+                                        instance: `${computeBase}/zones/us-west1-a/instances/bigip1`,
+                                        selfLink: 'bigip1SelfLink'
+                                    }
+                                ]
+                            },
+                            'zones/us-west1-b': {
+                                targetInstances: [
+                                    {
+                                        name: 'ti-bigip2',
+                                        instance: `${computeBase}/zones/us-west1-b/instances/bigip2`,
+                                        selfLink: 'bigip2SelfLink'
+                                    }
+                                ]
+                            },
+                            'zones/us-west1-c': {
+                                warning: { code: 'NO_RESULTS_ON_PAGE' }
+                            }
+                        }
+                    });
+                }
+                if (method === 'PATCH') {
+                    nicPaths.push(path);
+                    return q({ name: 'nicOperation' });
+                }
+                return q.reject(new Error(`unexpected request ${method} ${path}`));
+            };
+
+            const operation = function () {
+                return {
+                    promise() {
+                        return q();
+                    }
+                };
+            };
+            const vmsByName = {
+                bigip1: {
+                    zone: 'us-west1-a',
+                    networkInterfaces: [{ name: 'nic0' }]
+                },
+                bigip2: {
+                    zone: 'us-west1-b',
+                    networkInterfaces: [{ name: 'nic0', aliasIpRanges: [{ ipCidrRange: '10.0.0.100/32' }] }]
+                }
+            };
+            const fakeCompute = {
+                getVMs() {
+                    return q([Object.keys(vmsByName).map((name) => {
+                        return { name, zone: { id: vmsByName[name].zone } };
+                    })]);
+                },
+                zone(zoneId) {
+                    return {
+                        vm(name) {
+                            return {
+                                getMetadata() {
+                                    vmsLookedUp.push(`${zoneId}/${name}`);
+                                    return q([{
+                                        name,
+                                        status: 'RUNNING',
+                                        zone: `${computeBase}/zones/${vmsByName[name].zone}`,
+                                        networkInterfaces: vmsByName[name].networkInterfaces
+                                    }]);
+                                }
+                            };
+                        },
+                        operation
+                    };
+                },
+                region() {
+                    return {
+                        rule(name) {
+                            return {
+                                setTarget(target) {
+                                    targetsSet.push({ name, target });
+                                    return q([{ name: 'ruleOperation' }]);
+                                }
+                            };
+                        },
+                        operation
+                    };
+                }
+            };
+            require.cache[require.resolve('@google-cloud/compute')].exports = function Compute() {
+                return fakeCompute;
+            };
+
+            // eslint-disable-next-line global-require
+            require('../../scripts/failover');
+            return deferred.promise;
+        };
+
+        beforeEach(() => {
+            /* eslint-disable global-require */
+            const path = require('path');
+            /* eslint-enable global-require */
+
+            argv = process.argv;
+            directory = makeTempDirectory();
+            vmsLookedUp = [];
+            nicPaths = [];
+            targetsSet = [];
+
+            const configFile = path.join(directory, 'deployment');
+            fsMock.writeFileSync(
+                configFile,
+                JSON.stringify({ tagKey: 'deployment', tagValue: 'myDeployment', projectId: 'myProject' })
+            );
+            process.argv = ['node', 'failover.js', '--config-file', configFile];
+        });
+
+        afterEach(() => {
+            process.argv = argv;
+            removeDirectory(directory);
+        });
+
+        it('peer in other zone test', () => {
+            return runFailover()
+                .then(() => {
+                    assert.deepEqual(vmsLookedUp.sort(), ['us-west1-a/bigip1', 'us-west1-b/bigip2']);
+                    assert.deepEqual(nicPaths, [
+                        'zones/us-west1-b/instances/bigip2/updateNetworkInterface?networkInterface=nic0',
+                        'zones/us-west1-a/instances/bigip1/updateNetworkInterface?networkInterface=nic0'
+                    ]);
+                });
+        });
+
+        it('aggregated target instances test', () => {
+            return runFailover()
+                .then(() => {
+                    assert.deepEqual(targetsSet, [{ name: 'rule1', target: 'bigip1SelfLink' }]);
+                });
+        });
+    });
 });